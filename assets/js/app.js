@@ -37,7 +37,9 @@ function getUserTimezone() {
 let liveSocket = new LiveSocket("/live", Socket, {
   params: {
     _csrf_token: csrfToken,
-    timezone: getUserTimezone()
+    timezone: getUserTimezone(),
+    // Embedded booking pages let the host page's timezone option win
+    framed: window.self !== window.top
   },
   hooks: Hooks
 })
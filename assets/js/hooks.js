@@ -8,6 +8,7 @@ import { ClipboardCopy } from "./clipboard_hook";
 import { AutoUpload } from "./hooks/auto_upload";
 import { EmbedPreview } from "./hooks/embed_preview";
 import { MeetingTypeSortable } from "./hooks/meeting_type_sortable";
+import { EmbedFrame } from "./hooks/embed_frame";
 
 const Hooks = {};
 
@@ -46,4 +47,7 @@ Hooks.EmbedPreview = EmbedPreview;
 // Meeting type sortable hook for reordering
 Hooks.MeetingTypeSortable = MeetingTypeSortable;
 
+// Embed frame hook for booking pages rendered inside embed.js iframes
+Hooks.EmbedFrame = EmbedFrame;
+
 export default Hooks;
\ No newline at end of file
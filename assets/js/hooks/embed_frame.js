@@ -0,0 +1,267 @@
+// Embed frame hook for the scheduling themes.
+// Runs on the theme wrapper and only does anything when the booking page is
+// rendered inside an iframe (embed.js inline or popup modes). It reports the
+// page height to the host so the iframe can follow the flow from step to step
+// instead of scrolling inside a fixed 700px box, forwards the lifecycle
+// events pushed by EmbedEvents and the post-booking redirect pushed by
+// EmbedRedirect on the server, and passes booker details the
+// host prefills and campaign attribution (sent over postMessage, never in the
+// URL) to the server. On mount it reports whether the page can be used
+// (a ready message with data-embed-status, "ok" unless the page is an error
+// page) so embed.js doesn't have to trust iframe onload.
+//
+// Messages use the envelope described in embed.js ({ tymeslot, channel, type,
+// payload }) on the channel named in window.name. Frames created by copies of
+// embed.js older than the envelope have no channel and get the old flat
+// "tymeslot-*" messages instead.
+
+const RESIZE_DEBOUNCE_MS = 100;
+
+const PROTOCOL_VERSION = 1;
+
+// embed.js names the iframe "tymeslot:<version>:<channel>"
+const CHANNEL_NAME = /^tymeslot:(\d+):([A-Za-z0-9-]{8,64})$/;
+
+const HEX_COLOR = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+const COLOR_SCHEMES = ["light", "dark"];
+
+const isObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+// Theme keys are optional; null resets one to the theme default
+const validTheme = (payload) =>
+  isObject(payload) &&
+  (payload.primaryColor === undefined || payload.primaryColor === null || HEX_COLOR.test(payload.primaryColor)) &&
+  (payload.colorScheme === undefined || payload.colorScheme === null || COLOR_SCHEMES.includes(payload.colorScheme));
+
+// Branding is checked for format and contrast on the server (Context.put_branding/2)
+const validBranding = (payload) =>
+  isObject(payload) && Object.values(payload).every((value) => typeof value === "string");
+
+// The URL (false turns redirects off, null drops the override) is checked on
+// the server (EmbedRedirect)
+const validRedirect = (payload) =>
+  isObject(payload) &&
+  (payload.url === false || payload.url === null || typeof payload.url === "string");
+
+// Message types the host sends, with a check for each payload
+const HOST_MESSAGES = {
+  prefill: isObject,
+  attribution: isObject,
+  theme: validTheme,
+  branding: validBranding,
+  redirect: validRedirect
+};
+
+// The channel embed.js opened for this frame, speaking the lower of both
+// protocol versions; null for embed.js copies that predate the envelope
+const hostChannel = () => {
+  const match = CHANNEL_NAME.exec(window.name || "");
+  if (!match) return null;
+
+  return { id: match[2], version: Math.min(Number(match[1]), PROTOCOL_VERSION) };
+};
+
+const isFramed = () => {
+  try {
+    return window.self !== window.top;
+  } catch (e) {
+    // Cross-origin access to window.top throws, which also means we're framed
+    return true;
+  }
+};
+
+// Origin of the page framing us. Lifecycle events are only posted to this
+// origin; the embed domain allowlist (CSP frame-ancestors) already limits
+// which pages can frame the booking page in the first place.
+const hostOrigin = () => {
+  const ancestors = window.location.ancestorOrigins;
+  if (ancestors && ancestors.length > 0) return ancestors[0];
+
+  try {
+    return document.referrer ? new URL(document.referrer).origin : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const EmbedFrame = {
+  mounted() {
+    if (!isFramed()) return;
+
+    this.framed = true;
+    this.lastHeight = 0;
+    this.resizeTimer = null;
+    this.step = this.el.dataset.step;
+    this.hostOrigin = hostOrigin();
+    this.channel = hostChannel();
+
+    // Lets the theme CSS drop viewport-relative heights (see shared/embedded.css)
+    document.documentElement.classList.add("tymeslot-embedded");
+
+    this.scheduleHeightReport = () => {
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = setTimeout(() => this.reportHeight(), RESIZE_DEBOUNCE_MS);
+    };
+
+    if ("ResizeObserver" in window) {
+      this.resizeObserver = new ResizeObserver(this.scheduleHeightReport);
+      this.resizeObserver.observe(document.documentElement);
+      this.resizeObserver.observe(this.el);
+    } else {
+      window.addEventListener("resize", this.scheduleHeightReport);
+    }
+
+    this.handleEvent("embed:lifecycle", ({ event, payload }) => {
+      if (!this.hostOrigin) return;
+      this.post("event", { event, payload }, this.hostOrigin);
+    });
+
+    // Where to send the visitor after booking; embed.js navigates the top window
+    this.handleEvent("embed:redirect", ({ url }) => {
+      if (!this.hostOrigin) return;
+      this.post("redirect", { url }, this.hostOrigin);
+    });
+
+    this.handleHostMessage = (e) => {
+      if (e.source !== window.parent) return;
+      if (this.hostOrigin && e.origin !== this.hostOrigin) return;
+
+      const message = this.readHostMessage(e.data);
+      if (!message) return;
+
+      if (message.type === "prefill") {
+        this.pushEvent("embed_prefill", message.payload);
+      } else if (message.type === "attribution") {
+        this.pushEvent("embed_attribution", message.payload);
+      } else if (message.type === "theme") {
+        this.applyTheme(message.payload);
+      } else if (message.type === "branding") {
+        this.pushEvent("embed_branding", message.payload);
+      } else if (message.type === "redirect") {
+        this.pushEvent("embed_redirect", message.payload);
+      }
+    };
+    window.addEventListener("message", this.handleHostMessage);
+
+    // Escape inside the frame never reaches the host page, so ask it to
+    // close the popup; elements marked data-embed-close do the same
+    this.handleCloseKey = (e) => {
+      if (e.key === "Escape" && !e.defaultPrevented) this.requestClose();
+    };
+    this.handleCloseClick = (e) => {
+      if (e.target.closest && e.target.closest("[data-embed-close]")) this.requestClose();
+    };
+    document.addEventListener("keydown", this.handleCloseKey);
+    document.addEventListener("click", this.handleCloseClick);
+
+    // The status carries nothing sensitive, so it may go to "*" when the
+    // host origin is unknown, like the mounted message below
+    this.post("ready", { status: this.el.dataset.embedStatus || "ok" }, this.hostOrigin || "*");
+
+    // Tells embed.js the page is connected and can receive host context
+    this.post("mounted", {}, this.hostOrigin || "*");
+
+    this.reportHeight();
+  },
+
+  updated() {
+    if (!this.framed) return;
+
+    // Step changes swap the whole step component; report right away so the
+    // host doesn't show the previous step's height while the observer settles.
+    const step = this.el.dataset.step;
+    if (step !== this.step) {
+      this.step = step;
+      this.reportHeight();
+    }
+
+    this.scheduleHeightReport();
+  },
+
+  destroyed() {
+    if (!this.framed) return;
+
+    clearTimeout(this.resizeTimer);
+    window.removeEventListener("message", this.handleHostMessage);
+    document.removeEventListener("keydown", this.handleCloseKey);
+    document.removeEventListener("click", this.handleCloseClick);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    } else {
+      window.removeEventListener("resize", this.scheduleHeightReport);
+    }
+  },
+
+  reportHeight() {
+    const height = Math.ceil(
+      Math.max(this.el.scrollHeight, this.el.getBoundingClientRect().height)
+    );
+
+    if (!height || height === this.lastHeight) return;
+    this.lastHeight = height;
+
+    // The height carries nothing sensitive and the host origin isn't known
+    // here; embed.js checks the message origin on its side.
+    this.post("resize", { height }, "*");
+  },
+
+  // Posts to the host on our channel, or as an old flat message for embed.js
+  // copies without one ({ type: "tymeslot-resize", height }). Those copies
+  // don't know "close" or "redirect", so these aren't sent to them.
+  post(type, payload, targetOrigin) {
+    if (this.channel) {
+      const message = { tymeslot: this.channel.version, channel: this.channel.id, type, payload };
+      window.parent.postMessage(message, targetOrigin);
+    } else if (type !== "close" && type !== "redirect") {
+      window.parent.postMessage({ type: `tymeslot-${type}`, ...payload }, targetOrigin);
+    }
+  },
+
+  // Returns { type, payload } for a well-formed host message, or null
+  readHostMessage(data) {
+    if (!isObject(data)) return null;
+
+    let type, payload;
+    if (this.channel) {
+      if (typeof data.tymeslot !== "number" || data.channel !== this.channel.id) return null;
+      ({ type, payload } = data);
+    } else if (data.type === "tymeslot-prefill" || data.type === "tymeslot-attribution") {
+      type = data.type.slice("tymeslot-".length);
+      payload = data[type];
+    } else {
+      return null;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(HOST_MESSAGES, type)) return null;
+    return HOST_MESSAGES[type](payload) ? { type, payload } : null;
+  },
+
+  requestClose() {
+    if (this.hostOrigin) this.post("close", {}, this.hostOrigin);
+  },
+
+  // Null values go back to the theme's own colors. The color scheme is the
+  // same data-color-scheme attribute the server renders from ?color-scheme=.
+  applyTheme({ primaryColor, colorScheme }) {
+    const root = document.documentElement;
+
+    if (primaryColor !== undefined) {
+      ["--theme-primary", "--theme-primary-hover"].forEach((property) => {
+        if (primaryColor) {
+          root.style.setProperty(property, primaryColor);
+        } else {
+          root.style.removeProperty(property);
+        }
+      });
+    }
+
+    if (colorScheme !== undefined) {
+      if (colorScheme) {
+        root.dataset.colorScheme = colorScheme;
+      } else {
+        delete root.dataset.colorScheme;
+      }
+    }
+  }
+};
@@ -111,15 +111,15 @@ export const EmbedPreview = {
     this.el.appendChild(wrapper);
   },
 
-  openModal(username) {
+  openModal(username, options = {}) {
     if (window.TymeslotBooking) {
-      window.TymeslotBooking.open(username);
+      window.TymeslotBooking.open(username, options);
     } else {
       // Retry for a moment if script is still loading
       let retries = 0;
       const interval = setInterval(() => {
         if (window.TymeslotBooking) {
-          window.TymeslotBooking.open(username);
+          window.TymeslotBooking.open(username, options);
           clearInterval(interval);
         } else if (retries > 10) {
           alert('Booking widget is still loading. Please try again in a second.');
@@ -150,6 +150,7 @@ export const EmbedPreview = {
   },
 
   renderFloatingPreview(username, baseUrl) {
+    const options = this.floatingOptions();
     const wrapper = document.createElement('div');
     wrapper.className = 'relative w-full h-[400px] bg-white rounded-lg overflow-hidden border-2 border-slate-200';
     
@@ -171,10 +172,10 @@ export const EmbedPreview = {
           <div class="h-32 bg-slate-50 rounded-xl"></div>
         </div>
       </div>
-      <div class="absolute bottom-6 right-6">
-        <div class="w-14 h-14 rounded-full shadow-2xl flex items-center justify-center cursor-pointer hover:scale-110 transition-transform active:scale-90" 
+      <div class="absolute bottom-6 ${options.position === 'left' ? 'left-6' : 'right-6'}">
+        <div class="${options.label ? 'h-12 px-5 gap-2 rounded-full' : 'w-14 h-14 rounded-full'} shadow-2xl flex items-center justify-center cursor-pointer hover:scale-110 transition-transform active:scale-90 font-semibold text-sm whitespace-nowrap" 
              style="background-color: ${primaryColor}; color: ${iconColor}">
-          <svg class="w-7 h-7" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <svg class="${options.label ? 'w-5 h-5' : 'w-7 h-7'}" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
           </svg>
         </div>
@@ -182,13 +183,31 @@ export const EmbedPreview = {
     `;
     
     const button = wrapper.querySelector('div.absolute div');
+    if (options.label) {
+      const label = document.createElement('span');
+      label.textContent = options.label;
+      button.appendChild(label);
+    }
     button.onclick = () => {
-      this.openModal(username);
+      this.openModal(username, options);
     };
     
     this.el.appendChild(wrapper);
   },
 
+  // Position and label picked in the dashboard, same shape as initFloating's options
+  floatingOptions() {
+    try {
+      const options = JSON.parse(this.el.dataset.floatingOptions || '{}');
+      return {
+        position: options.position === 'left' ? 'left' : 'right',
+        label: typeof options.label === 'string' ? options.label.slice(0, 40) : ''
+      };
+    } catch (e) {
+      return { position: 'right', label: '' };
+    }
+  },
+
   createIframe(username, baseUrl) {
     const iframe = document.createElement('iframe');
     let url = `${baseUrl}/${username}?preview=true`;
@@ -0,0 +1,73 @@
+defmodule Mix.Tasks.EmbedPublish do
+  @moduledoc """
+  Publishes the current `assets/js/embed.js` as an immutable versioned build.
+
+  The build is copied to `priv/embed/v<VERSION>.js`, with the version taken
+  from the `VERSION` constant in embed.js, and its Subresource Integrity hash
+  is added to `priv/embed/manifest.json`. `EmbedScriptController` serves the
+  builds as `/embed/v1.2.3.js`, and `/embed/v1.js` as the latest 1.x.y.
+
+  Published builds never change, since customer pages pin them by hash.
+  Publishing a changed embed.js under a version that already exists fails;
+  bump `VERSION` first.
+
+  ## Usage
+
+      mix embed_publish
+  """
+
+  use Mix.Task
+
+  alias TymeslotWeb.Helpers.EmbedScript
+
+  @shortdoc "Publish embed.js as an immutable /embed/v<version>.js build"
+
+  @source_path "assets/js/embed.js"
+  @builds_dir "priv/embed"
+
+  @impl Mix.Task
+  def run(_args) do
+    source = File.read!(@source_path)
+    version = source_version!(source)
+    build_path = Path.join(@builds_dir, "v#{version}.js")
+
+    case File.read(build_path) do
+      {:ok, ^source} ->
+        Mix.shell().info("embed.js #{version} is already published")
+
+      {:ok, _other} ->
+        Mix.raise(
+          "#{build_path} differs from #{@source_path}; published builds are immutable, " <>
+            "bump VERSION in #{@source_path}"
+        )
+
+      {:error, :enoent} ->
+        publish(build_path, version, source)
+    end
+  end
+
+  defp publish(build_path, version, source) do
+    manifest_path = Path.join(@builds_dir, "manifest.json")
+
+    builds =
+      case File.read(manifest_path) do
+        {:ok, json} -> Jason.decode!(json)["builds"]
+        {:error, :enoent} -> %{}
+      end
+
+    File.mkdir_p!(@builds_dir)
+    File.write!(build_path, source)
+
+    manifest = %{"builds" => Map.put(builds, version, EmbedScript.integrity_hash(source))}
+    File.write!(manifest_path, [Jason.encode_to_iodata!(manifest, pretty: true), "\n"])
+
+    Mix.shell().info("Published embed.js #{version} to #{build_path}")
+  end
+
+  defp source_version!(source) do
+    case Regex.run(~r/const VERSION = '(\d+\.\d+\.\d+)';/, source) do
+      [_, version] -> version
+      nil -> Mix.raise("No VERSION constant found in #{@source_path}")
+    end
+  end
+end
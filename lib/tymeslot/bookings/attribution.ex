@@ -0,0 +1,74 @@
+defmodule Tymeslot.Bookings.Attribution do
+  @moduledoc """
+  Marketing attribution for bookings made through embeds.
+
+  `embed.js` collects the `utm_*` parameters, URL and referrer of the page
+  hosting the widget and hands them to the booking page. They come from the
+  host page, so everything is treated as untrusted: unknown keys are dropped,
+  text is trimmed and capped, and URLs must be http(s) and lose their query
+  string and fragment before they're stored on the meeting.
+  """
+
+  @utm_keys ~w(utm_source utm_medium utm_campaign utm_term utm_content)
+  @url_keys ~w(page_url referrer)
+
+  @max_text_length 255
+  @max_url_length 2048
+
+  @type t :: %{optional(String.t()) => String.t()}
+
+  @doc """
+  Returns the attribution keys that are kept.
+  """
+  @spec keys() :: [String.t()]
+  def keys, do: @utm_keys ++ @url_keys
+
+  @doc """
+  Normalizes raw attribution params into a map safe to store.
+
+  Returns `nil` when nothing usable is left, so bookings made outside an
+  embed or without campaign data keep an empty attribution column.
+  """
+  @spec normalize(term()) :: t() | nil
+  def normalize(params) when is_map(params) do
+    attribution =
+      Enum.reduce(keys(), %{}, fn key, acc ->
+        case clean(key, params[key]) do
+          nil -> acc
+          value -> Map.put(acc, key, value)
+        end
+      end)
+
+    if map_size(attribution) == 0, do: nil, else: attribution
+  end
+
+  def normalize(_params), do: nil
+
+  defp clean(key, value) when key in @url_keys, do: clean_url(value)
+  defp clean(_key, value), do: clean_text(value)
+
+  defp clean_text(value) when is_binary(value) do
+    value =
+      value
+      |> String.replace(~r/[[:cntrl:]]/u, "")
+      |> String.trim()
+      |> String.slice(0, @max_text_length)
+
+    if value == "", do: nil, else: value
+  end
+
+  defp clean_text(_value), do: nil
+
+  defp clean_url(value) when is_binary(value) and byte_size(value) <= @max_url_length do
+    case URI.parse(String.trim(value)) do
+      %URI{scheme: scheme, host: host} = uri
+      when scheme in ["http", "https"] and is_binary(host) and host != "" ->
+        URI.to_string(%URI{uri | query: nil, fragment: nil, userinfo: nil})
+
+      _ ->
+        nil
+    end
+  end
+
+  defp clean_url(_value), do: nil
+end
@@ -108,7 +108,8 @@ defmodule Tymeslot.Bookings.Create do
         date: date,
         organizer_user_id: Map.get(meeting_params, :organizer_user_id),
         meeting_type_id: Map.get(meeting_params, :meeting_type_id),
-        video_integration_id: Map.get(meeting_params, :video_integration_id)
+        video_integration_id: Map.get(meeting_params, :video_integration_id),
+        attribution: Map.get(meeting_params, :attribution)
       }
 
       {:ok, booking_data}
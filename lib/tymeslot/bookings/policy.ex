@@ -145,6 +145,9 @@ defmodule Tymeslot.Bookings.Policy do
       # Always normalize and ensure we have a valid timezone
       attendee_timezone: TimezoneUtils.normalize_timezone(user_timezone),
 
+      # Embed attribution, already normalized by Bookings.Attribution
+      attribution: Map.get(params, :attribution),
+
       # URLs
       view_url: build_meeting_url(meeting_uid, "", org_username),
       reschedule_url: build_meeting_url(meeting_uid, "/reschedule", org_username),
@@ -0,0 +1,68 @@
+defmodule Tymeslot.DatabaseQueries.EmbedFunnelQueries do
+  @moduledoc """
+  Database queries for embed funnel counters.
+  """
+
+  import Ecto.Query, warn: false
+
+  alias Tymeslot.DatabaseSchemas.EmbedFunnelStatSchema
+  alias Tymeslot.Repo
+
+  @doc """
+  Adds to the counters for a profile's funnel steps on a date.
+
+  Takes `{embed_type, host, step, count}` tuples and creates missing
+  counters. Returns the number of counters touched.
+  """
+  @spec increment_counts(integer(), Date.t(), [
+          {String.t(), String.t(), String.t(), pos_integer()}
+        ]) :: non_neg_integer()
+  def increment_counts(_profile_id, _date, []), do: 0
+
+  def increment_counts(profile_id, %Date{} = date, counts) do
+    now = DateTime.truncate(DateTime.utc_now(), :second)
+
+    # One statement per counter: insert_all can't add a different amount to
+    # each conflicting row
+    Enum.reduce(counts, 0, fn {embed_type, host, step, count}, touched ->
+      entry = %{
+        profile_id: profile_id,
+        date: date,
+        embed_type: embed_type,
+        host: host,
+        step: step,
+        count: count,
+        inserted_at: now,
+        updated_at: now
+      }
+
+      {inserted, _} =
+        Repo.insert_all(EmbedFunnelStatSchema, [entry],
+          on_conflict: [inc: [count: count], set: [updated_at: now]],
+          conflict_target: [:profile_id, :date, :embed_type, :host, :step]
+        )
+
+      touched + inserted
+    end)
+  end
+
+  @doc """
+  Sums a profile's funnel counters since a date, grouped by embed type,
+  host and step.
+  """
+  @spec totals_since(integer(), Date.t()) :: [
+          %{embed_type: String.t(), host: String.t(), step: String.t(), count: integer()}
+        ]
+  def totals_since(profile_id, %Date{} = since) do
+    EmbedFunnelStatSchema
+    |> where([s], s.profile_id == ^profile_id and s.date >= ^since)
+    |> group_by([s], [s.embed_type, s.host, s.step])
+    |> select([s], %{
+      embed_type: s.embed_type,
+      host: s.host,
+      step: s.step,
+      count: type(sum(s.count), :integer)
+    })
+    |> Repo.all()
+  end
+end
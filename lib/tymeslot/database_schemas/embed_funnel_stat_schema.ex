@@ -0,0 +1,49 @@
+defmodule Tymeslot.DatabaseSchemas.EmbedFunnelStatSchema do
+  @moduledoc """
+  Daily counter of one embed funnel step, per embed type and host domain.
+
+  Only counts are stored, nothing about the visitors behind them.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Tymeslot.DatabaseSchemas.ProfileSchema
+
+  @type t :: %__MODULE__{
+          id: integer() | nil,
+          profile_id: integer() | nil,
+          date: Date.t() | nil,
+          embed_type: String.t() | nil,
+          host: String.t() | nil,
+          step: String.t() | nil,
+          count: non_neg_integer(),
+          profile: ProfileSchema.t() | Ecto.Association.NotLoaded.t(),
+          inserted_at: DateTime.t() | nil,
+          updated_at: DateTime.t() | nil
+        }
+
+  schema "embed_funnel_stats" do
+    field(:date, :date)
+    field(:embed_type, :string)
+    field(:host, :string)
+    field(:step, :string)
+    field(:count, :integer, default: 0)
+
+    belongs_to(:profile, ProfileSchema)
+
+    timestamps(type: :utc_datetime)
+  end
+
+  @doc """
+  Changeset for a funnel counter.
+  """
+  @spec changeset(t() | Ecto.Changeset.t(), map()) :: Ecto.Changeset.t()
+  def changeset(stat, attrs) do
+    stat
+    |> cast(attrs, [:profile_id, :date, :embed_type, :host, :step, :count])
+    |> validate_required([:profile_id, :date, :embed_type, :host, :step])
+    |> validate_number(:count, greater_than_or_equal_to: 0)
+    |> validate_length(:host, max: 253)
+    |> unique_constraint([:profile_id, :date, :embed_type, :host, :step])
+  end
+end
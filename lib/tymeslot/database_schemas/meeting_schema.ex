@@ -30,6 +30,7 @@ defmodule Tymeslot.DatabaseSchemas.MeetingSchema do
           attendee_phone: String.t() | nil,
           attendee_company: String.t() | nil,
           attendee_timezone: String.t() | nil,
+          attribution: map() | nil,
           view_url: String.t() | nil,
           reschedule_url: String.t() | nil,
           cancel_url: String.t() | nil,
@@ -104,6 +105,9 @@ defmodule Tymeslot.DatabaseSchemas.MeetingSchema do
     field(:attendee_company, :string)
     field(:attendee_timezone, :string)
 
+    # Embed attribution (utm_* params, host page URL, referrer)
+    field(:attribution, :map)
+
     # URLs and links
     field(:view_url, :string)
     field(:reschedule_url, :string)
@@ -164,6 +168,7 @@ defmodule Tymeslot.DatabaseSchemas.MeetingSchema do
     :attendee_phone,
     :attendee_company,
     :attendee_timezone,
+    :attribution,
     :view_url,
     :reschedule_url,
     :cancel_url,
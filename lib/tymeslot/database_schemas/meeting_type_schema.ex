@@ -4,6 +4,7 @@ defmodule Tymeslot.DatabaseSchemas.MeetingTypeSchema do
   """
   use Ecto.Schema
   import Ecto.Changeset
+  alias Tymeslot.ChangesetValidators.URL, as: URLValidator
   alias Tymeslot.Utils.ReminderUtils
 
   @type t :: %__MODULE__{
@@ -16,6 +17,8 @@ defmodule Tymeslot.DatabaseSchemas.MeetingTypeSchema do
           allow_video: boolean(),
           sort_order: integer(),
           reminder_config: [map()],
+          confirmation_redirect_url: String.t() | nil,
+          redirect_with_details: boolean(),
           user_id: integer() | nil,
           video_integration_id: integer() | nil,
           calendar_integration_id: integer() | nil,
@@ -34,6 +37,8 @@ defmodule Tymeslot.DatabaseSchemas.MeetingTypeSchema do
     field(:sort_order, :integer, default: 0)
     field(:target_calendar_id, :string)
     field(:reminder_config, {:array, :map}, default: nil)
+    field(:confirmation_redirect_url, :string)
+    field(:redirect_with_details, :boolean, default: false)
 
     belongs_to(:user, Tymeslot.DatabaseSchemas.UserSchema)
     belongs_to(:video_integration, Tymeslot.DatabaseSchemas.VideoIntegrationSchema)
@@ -76,7 +81,9 @@ defmodule Tymeslot.DatabaseSchemas.MeetingTypeSchema do
       :video_integration_id,
       :calendar_integration_id,
       :target_calendar_id,
-      :reminder_config
+      :reminder_config,
+      :confirmation_redirect_url,
+      :redirect_with_details
     ])
     |> validate_required([:name, :duration_minutes, :user_id])
     |> validate_length(:name, min: 1, max: 100)
@@ -87,6 +94,7 @@ defmodule Tymeslot.DatabaseSchemas.MeetingTypeSchema do
     |> validate_video_integration()
     |> validate_calendar_destination()
     |> validate_reminder_config()
+    |> URLValidator.validate_url(:confirmation_redirect_url)
     |> unique_constraint([:user_id, :name],
       message: "You already have a meeting type with this name"
     )
@@ -23,6 +23,7 @@ defmodule Tymeslot.DatabaseSchemas.ProfileSchema do
           booking_theme: String.t() | nil,
           has_custom_theme: boolean(),
           allowed_embed_domains: [String.t()] | nil,
+          embed_share_booker_details: boolean(),
           primary_calendar_integration_id: integer() | nil,
           user: Tymeslot.DatabaseSchemas.UserSchema.t() | Ecto.Association.NotLoaded.t(),
           primary_calendar_integration:
@@ -47,6 +48,7 @@ defmodule Tymeslot.DatabaseSchemas.ProfileSchema do
     field(:booking_theme, :string, default: Registry.default_theme_id())
     field(:has_custom_theme, :boolean, default: false)
     field(:allowed_embed_domains, {:array, :string}, default: ["none"])
+    field(:embed_share_booker_details, :boolean, default: false)
     field(:meeting_types, {:array, :map}, virtual: true)
     belongs_to(:user, Tymeslot.DatabaseSchemas.UserSchema)
     belongs_to(:primary_calendar_integration, Tymeslot.DatabaseSchemas.CalendarIntegrationSchema)
@@ -71,6 +73,7 @@ defmodule Tymeslot.DatabaseSchemas.ProfileSchema do
       :booking_theme,
       :has_custom_theme,
       :allowed_embed_domains,
+      :embed_share_booker_details,
       :primary_calendar_integration_id
     ])
     |> validate_required([:user_id, :timezone])
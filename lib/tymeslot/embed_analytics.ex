@@ -0,0 +1,121 @@
+defmodule Tymeslot.EmbedAnalytics do
+  @moduledoc """
+  Funnel analytics for embedded booking pages.
+
+  `embed.js` reports funnel steps in batches. Only daily counts per embed
+  type, host domain and step are kept: no cookies, visitor IDs, IP addresses
+  or page URLs. Steps are only counted for hosts on the profile's embed
+  allowlist.
+  """
+
+  alias Tymeslot.DatabaseQueries.EmbedFunnelQueries
+  alias Tymeslot.DatabaseSchemas.ProfileSchema
+  alias Tymeslot.Profiles
+
+  @steps ~w(impression open meeting_type_selected slot_selected form_started confirmed)
+  @embed_types ~w(inline popup floating)
+
+  # A page rarely produces more; anything beyond is dropped, not counted
+  @max_events_per_batch 50
+
+  @type funnel_step :: %{step: String.t(), count: non_neg_integer(), conversion: float() | nil}
+  @type funnel :: %{
+          steps: [funnel_step()],
+          conversion: float() | nil,
+          hosts: [String.t()],
+          embed_types: [String.t()]
+        }
+
+  @doc """
+  Returns the funnel steps in order.
+  """
+  @spec steps() :: [String.t()]
+  def steps, do: @steps
+
+  @doc """
+  Returns the embed types funnel steps are counted under.
+  """
+  @spec embed_types() :: [String.t()]
+  def embed_types, do: @embed_types
+
+  @doc """
+  Counts a batch of funnel events reported from a page on `host`.
+
+  Events are maps with a `"type"` (embed type) and a `"step"`; unknown ones
+  are skipped. Returns the number of steps counted, or
+  `{:error, :host_not_allowed}` when the profile doesn't allow `host` to
+  embed it.
+  """
+  @spec record_events(ProfileSchema.t(), String.t() | nil, [map()]) ::
+          {:ok, non_neg_integer()} | {:error, :host_not_allowed}
+  def record_events(%ProfileSchema{} = profile, host, events) when is_list(events) do
+    if Profiles.embed_host_allowed?(profile, host) do
+      host = String.downcase(host)
+
+      counts =
+        events
+        |> Enum.take(@max_events_per_batch)
+        |> Enum.flat_map(&valid_event/1)
+        |> Enum.frequencies()
+        |> Enum.map(fn {{embed_type, step}, count} -> {embed_type, host, step, count} end)
+
+      EmbedFunnelQueries.increment_counts(profile.id, Date.utc_today(), counts)
+
+      {:ok, Enum.reduce(counts, 0, fn {_type, _host, _step, count}, sum -> sum + count end)}
+    else
+      {:error, :host_not_allowed}
+    end
+  end
+
+  @doc """
+  Builds a profile's funnel over the last `:days` days (30 by default).
+
+  Pass `:embed_type` or `:host` to narrow it down. Each step's conversion is
+  its share of the first step that has any counts, since inline embeds start
+  at an impression and popups at an open. The returned hosts and embed types
+  are the ones with data, for filters.
+  """
+  @spec funnel(integer(), keyword()) :: funnel()
+  def funnel(profile_id, opts \\ []) do
+    days = Keyword.get(opts, :days, 30)
+    since = Date.add(Date.utc_today(), -(days - 1))
+    totals = EmbedFunnelQueries.totals_since(profile_id, since)
+
+    counts =
+      totals
+      |> Enum.filter(&matches?(&1, :embed_type, opts[:embed_type]))
+      |> Enum.filter(&matches?(&1, :host, opts[:host]))
+      |> Enum.reduce(%{}, fn row, acc ->
+        Map.update(acc, row.step, row.count, &(&1 + row.count))
+      end)
+
+    top =
+      Enum.find_value(@steps, fn step ->
+        if Map.get(counts, step, 0) > 0, do: counts[step]
+      end)
+
+    steps =
+      Enum.map(@steps, fn step ->
+        count = Map.get(counts, step, 0)
+        %{step: step, count: count, conversion: top && Float.round(count * 100 / top, 1)}
+      end)
+
+    %{
+      steps: steps,
+      conversion: top && Float.round(Map.get(counts, "confirmed", 0) * 100 / top, 1),
+      hosts: totals |> Enum.map(& &1.host) |> Enum.uniq() |> Enum.sort(),
+      embed_types:
+        Enum.filter(@embed_types, fn type -> Enum.any?(totals, &(&1.embed_type == type)) end)
+    }
+  end
+
+  defp valid_event(%{"type" => embed_type, "step" => step})
+       when embed_type in @embed_types and step in @steps,
+       do: [{embed_type, step}]
+
+  defp valid_event(_event), do: []
+
+  defp matches?(_row, _field, nil), do: true
+  defp matches?(_row, _field, ""), do: true
+  defp matches?(row, field, value), do: Map.fetch!(row, field) == value
+end
@@ -15,4 +15,10 @@ defmodule Tymeslot.Infrastructure.AvailabilityCache do
   def month_availability_key(user_id, year, month, timezone, duration) do
     {:month_availability, user_id, year, month, timezone, duration}
   end
+
+  @spec next_slots_key(integer(), integer(), String.t()) ::
+          {atom(), integer(), integer(), String.t()}
+  def next_slots_key(profile_id, meeting_type_id, timezone) do
+    {:next_slots, profile_id, meeting_type_id, timezone}
+  end
 end
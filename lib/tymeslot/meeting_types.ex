@@ -255,7 +255,9 @@ defmodule Tymeslot.MeetingTypes do
         video_integration_id: video_integration_id,
         calendar_integration_id: params["calendar_integration_id"],
         target_calendar_id: params["target_calendar_id"],
-        reminder_config: reminder_config
+        reminder_config: reminder_config,
+        confirmation_redirect_url: blank_to_nil(params["confirmation_redirect_url"]),
+        redirect_with_details: params["redirect_with_details"] == "true"
       }
 
       {:ok, attrs}
@@ -365,4 +367,7 @@ defmodule Tymeslot.MeetingTypes do
   end
 
   defp normalize_reminder_config_params(_), do: {:error, :invalid_reminder_config}
+
+  defp blank_to_nil(value) when value in [nil, ""], do: nil
+  defp blank_to_nil(value), do: value
 end
@@ -356,6 +356,34 @@ defmodule Tymeslot.Profiles do
     end
   end
 
+  @doc """
+  Checks whether pages on `host` may embed the profile's booking page.
+  Matches like CSP host sources: exact hosts, or "*.example.com" for
+  subdomains.
+  """
+  @spec embed_host_allowed?(profile, String.t() | nil) :: boolean()
+  def embed_host_allowed?(%ProfileSchema{allowed_embed_domains: domains}, host)
+      when is_binary(host) do
+    host = String.downcase(host)
+    domains = domains || []
+
+    "none" not in domains and Enum.any?(domains, &embed_host_matches?(host, &1))
+  end
+
+  def embed_host_allowed?(_profile, _host), do: false
+
+  defp embed_host_matches?(host, "*." <> domain), do: String.ends_with?(host, "." <> domain)
+  defp embed_host_matches?(host, domain), do: host == String.downcase(domain)
+
+  @doc """
+  Enables or disables sharing booker details (name, email, meeting UID) with
+  the host page in embed lifecycle events.
+  """
+  @spec update_embed_share_booker_details(profile, boolean()) :: result(profile)
+  def update_embed_share_booker_details(%ProfileSchema{} = profile, enabled)
+      when is_boolean(enabled),
+      do: update_profile(profile, %{embed_share_booker_details: enabled})
+
   # --- Organizer Context ---
 
   @doc """
@@ -15,9 +15,13 @@ defmodule Tymeslot.Scheduling.ThemeFlow do
     Demo.find_by_duration_string(user_id, duration_slug)
   end
 
+  @doc """
+  Resolves an active meeting type from a URL slug. Numeric slugs that match no
+  name fall back to the meeting type ID, which embeds use to deep-link.
+  """
   @spec resolve_meeting_type_for_slug(pos_integer(), String.t()) :: map() | nil
   def resolve_meeting_type_for_slug(user_id, slug) do
-    MeetingTypes.find_by_slug(user_id, slug)
+    MeetingTypes.find_by_slug(user_id, slug) || find_active_by_id(user_id, slug)
   end
 
   @spec build_booking_form_data(String.t() | nil) :: map()
@@ -37,6 +41,19 @@ defmodule Tymeslot.Scheduling.ThemeFlow do
     end
   end
 
+  defp find_active_by_id(user_id, slug) do
+    case Integer.parse(slug) do
+      {id, ""} ->
+        case MeetingTypes.get_meeting_type(id, user_id) do
+          %{is_active: true} = meeting_type -> meeting_type
+          _ -> nil
+        end
+
+      _ ->
+        nil
+    end
+  end
+
   defp default_booking_form_data do
     %{"name" => "", "email" => "", "message" => ""}
   end
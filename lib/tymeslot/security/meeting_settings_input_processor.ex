@@ -7,7 +7,7 @@ defmodule Tymeslot.Security.MeetingSettingsInputProcessor do
   """
 
   alias Tymeslot.DatabaseSchemas.MeetingTypeSchema
-  alias Tymeslot.Security.{SecurityLogger, UniversalSanitizer}
+  alias Tymeslot.Security.{SecurityLogger, UniversalSanitizer, UrlValidation}
   alias Tymeslot.Utils.ReminderUtils
 
   @doc """
@@ -32,7 +32,9 @@ defmodule Tymeslot.Security.MeetingSettingsInputProcessor do
       {:meeting_mode, params["meeting_mode"]},
       {:calendar_integration_id, params["calendar_integration_id"]},
       {:target_calendar_id, params["target_calendar_id"]},
-      {:reminder_config, params["reminder_config"]}
+      {:reminder_config, params["reminder_config"]},
+      {:confirmation_redirect_url, params["confirmation_redirect_url"]},
+      {:redirect_with_details, params["redirect_with_details"]}
     ]
 
     case run_validations(validations, metadata) do
@@ -74,6 +76,11 @@ defmodule Tymeslot.Security.MeetingSettingsInputProcessor do
   defp validate_field(:target_calendar_id, v, m), do: validate_target_calendar_id(v, m)
   defp validate_field(:reminder_config, v, m), do: validate_reminder_config(v, m)
 
+  defp validate_field(:confirmation_redirect_url, v, m),
+    do: validate_confirmation_redirect_url(v, m)
+
+  defp validate_field(:redirect_with_details, v, _m), do: {:ok, to_string(v == "true")}
+
   defp log_validation_result(status, metadata, errors \\ nil) do
     event_name = "meeting_type_form_validation_#{status}"
 
@@ -156,6 +163,15 @@ defmodule Tymeslot.Security.MeetingSettingsInputProcessor do
     end
   end
 
+  def validate_meeting_type_field(:confirmation_redirect_url, value, opts) do
+    metadata = Keyword.get(opts, :metadata, %{})
+
+    case validate_confirmation_redirect_url(value, metadata) do
+      {:ok, sanitized} -> {:ok, sanitized}
+      {:error, %{confirmation_redirect_url: _} = err} -> {:error, err}
+    end
+  end
+
   def validate_meeting_type_field(_other, _value, _opts), do: {:error, %{base: "Invalid field"}}
 
   @doc """
@@ -458,6 +474,26 @@ defmodule Tymeslot.Security.MeetingSettingsInputProcessor do
     {:error, %{target_calendar: "Invalid target calendar format"}}
   end
 
+  defp validate_confirmation_redirect_url(nil, _metadata), do: {:ok, nil}
+  defp validate_confirmation_redirect_url("", _metadata), do: {:ok, nil}
+
+  defp validate_confirmation_redirect_url(url, metadata) when is_binary(url) do
+    with {:ok, sanitized} <-
+           UniversalSanitizer.sanitize_and_validate(String.trim(url),
+             allow_html: false,
+             metadata: metadata
+           ),
+         :ok <- UrlValidation.validate_http_url(sanitized) do
+      {:ok, sanitized}
+    else
+      {:error, error} -> {:error, %{confirmation_redirect_url: error}}
+    end
+  end
+
+  defp validate_confirmation_redirect_url(_, _metadata) do
+    {:error, %{confirmation_redirect_url: "Invalid redirect URL format"}}
+  end
+
   defp validate_reminder_config(nil, _metadata), do: {:ok, []}
   defp validate_reminder_config("", _metadata), do: {:ok, []}
 
@@ -0,0 +1,49 @@
+defmodule Tymeslot.Utils.ColorUtils do
+  @moduledoc """
+  Utilities for validating CSS hex colors and checking contrast between them.
+  """
+
+  @hex_color ~r/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/
+
+  @doc """
+  Checks that a value is a `#rgb` or `#rrggbb` hex color, the only color
+  format accepted from URLs and embeds (anything else could inject CSS).
+  """
+  @spec hex_color?(any()) :: boolean()
+  def hex_color?(value) when is_binary(value), do: Regex.match?(@hex_color, value)
+  def hex_color?(_), do: false
+
+  @doc """
+  WCAG contrast ratio between two hex colors, from 1.0 (identical) to 21.0
+  (black on white).
+  """
+  @spec contrast_ratio(String.t(), String.t()) :: float()
+  def contrast_ratio(color_a, color_b) do
+    [lighter, darker] =
+      [color_a, color_b]
+      |> Enum.map(&relative_luminance/1)
+      |> Enum.sort(:desc)
+
+    (lighter + 0.05) / (darker + 0.05)
+  end
+
+  # Relative luminance as defined by WCAG 2.x
+  defp relative_luminance(hex) do
+    [r, g, b] = Enum.map(rgb(hex), &linear_channel/1)
+    0.2126 * r + 0.7152 * g + 0.0722 * b
+  end
+
+  defp linear_channel(value) do
+    channel = value / 255
+
+    if channel <= 0.03928,
+      do: channel / 12.92,
+      else: :math.pow((channel + 0.055) / 1.055, 2.4)
+  end
+
+  defp rgb("#" <> <<r::binary-size(1), g::binary-size(1), b::binary-size(1)>>),
+    do: rgb("#" <> r <> r <> g <> g <> b <> b)
+
+  defp rgb("#" <> <<r::binary-size(2), g::binary-size(2), b::binary-size(2)>>),
+    do: Enum.map([r, g, b], &String.to_integer(&1, 16))
+end
@@ -60,6 +60,7 @@ defmodule Tymeslot.Webhooks.PayloadBuilder do
         attendee: build_attendee_data(meeting),
         urls: build_urls(meeting),
         video: build_video_data(meeting),
+        attribution: meeting.attribution,
         created_at: format_datetime(meeting.inserted_at),
         updated_at: format_datetime(meeting.updated_at)
       },
@@ -46,6 +46,29 @@ defmodule TymeslotWeb.Components.Dashboard.Meetings.Helpers do
     end
   end
 
+  # Attribution helpers
+  @attribution_labels [
+    {"utm_source", "Source"},
+    {"utm_medium", "Medium"},
+    {"utm_campaign", "Campaign"},
+    {"utm_term", "Term"},
+    {"utm_content", "Content"},
+    {"page_url", "Booked on"},
+    {"referrer", "Referrer"}
+  ]
+
+  @spec attribution_items(Ecto.Schema.t()) :: [{String.t(), String.t()}]
+  def attribution_items(%{attribution: attribution}) when is_map(attribution) do
+    Enum.flat_map(@attribution_labels, fn {key, label} ->
+      case attribution[key] do
+        value when is_binary(value) and value != "" -> [{label, value}]
+        _ -> []
+      end
+    end)
+  end
+
+  def attribution_items(_meeting), do: []
+
   # Timezone + formatting helpers
   @spec get_meeting_timezone(Ecto.Schema.t() | nil, Ecto.Schema.t() | nil) :: String.t()
   def get_meeting_timezone(nil, _profile), do: "UTC"
@@ -191,6 +191,8 @@ defmodule TymeslotWeb.Components.Dashboard.Meetings.MeetingListComponents do
               </div>
             </div>
           <% end %>
+
+          <.attribution_tags meeting={@meeting} />
         </div>
 
         <div class="flex lg:flex-col gap-3 flex-shrink-0 lg:w-[160px]">
@@ -245,6 +247,24 @@ defmodule TymeslotWeb.Components.Dashboard.Meetings.MeetingListComponents do
     """
   end
 
+  defp attribution_tags(assigns) do
+    assigns = assign(assigns, :items, Helpers.attribution_items(assigns.meeting))
+
+    ~H"""
+    <div :if={@items != []} class="mt-4 flex flex-wrap items-center gap-2" data-testid="meeting-attribution">
+      <Icons.icon name={:bolt} class="w-4 h-4 text-tymeslot-400" />
+      <span
+        :for={{label, value} <- @items}
+        class="inline-flex items-center gap-1 max-w-xs px-3 py-1 bg-tymeslot-50 text-tymeslot-600 text-token-xs font-bold rounded-full border border-tymeslot-100"
+        title={value}
+      >
+        <span class="text-tymeslot-400 uppercase tracking-wider">{label}</span>
+        <span class="truncate">{value}</span>
+      </span>
+    </div>
+    """
+  end
+
   defp status_badges(assigns) do
     ~H"""
     <%= if @meeting.status == "cancelled" do %>
@@ -16,6 +16,7 @@ defmodule TymeslotWeb.Components.Icons.IconComponents do
       :bell,
       :bolt,
       :calendar,
+      :chart_bar,
       :chat_bubble_left_right,
       :check,
       :clock,
@@ -280,6 +281,19 @@ defmodule TymeslotWeb.Components.Icons.IconComponents do
     """
   end
 
+  def icon(%{name: :chart_bar} = assigns) do
+    ~H"""
+    <svg class={@class} fill="none" stroke="currentColor" viewBox="0 0 24 24" {@rest}>
+      <path
+        stroke-linecap="round"
+        stroke-linejoin="round"
+        stroke-width="2"
+        d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"
+      />
+    </svg>
+    """
+  end
+
   def icon(%{name: :check} = assigns) do
     ~H"""
     <svg class={@class} fill="none" stroke="currentColor" viewBox="0 0 24 24" {@rest}>
@@ -8,6 +8,7 @@ defmodule TymeslotWeb.Components.MeetingComponents do
   alias Tymeslot.Availability.Calculate
   alias Tymeslot.Profiles
   alias Tymeslot.Utils.{DateTimeUtils, TimezoneUtils}
+  alias TymeslotWeb.Themes.Shared.LocalizationHelpers
 
   # ========== MEETING DISPLAY ==========
 
@@ -580,7 +581,10 @@ defmodule TymeslotWeb.Components.MeetingComponents do
   end
 
   defp format_time_by_locale(dt) do
-    Calendar.strftime(dt, "%H:%M")
+    case LocalizationHelpers.hour_cycle() do
+      "h12" -> Calendar.strftime(dt, "%-I:%M %p")
+      _ -> Calendar.strftime(dt, "%H:%M")
+    end
   end
 
   defp format_duration(duration) when is_binary(duration) do
@@ -0,0 +1,77 @@
+defmodule TymeslotWeb.EmbedEventsController do
+  @moduledoc """
+  Receives funnel events batched by `embed.js`.
+
+  Batches arrive as a form-encoded `events` field holding a JSON list of
+  `%{"username", "type", "step"}` maps, so `navigator.sendBeacon` can send
+  them without a CORS preflight. The host domain comes from the request's
+  Origin (or Referer), never from the body. No session or cookies are read,
+  and the response is always empty: beacons can't read it anyway.
+  """
+  use TymeslotWeb, :controller
+
+  require Logger
+  alias Tymeslot.DatabaseQueries.ProfileQueries
+  alias Tymeslot.EmbedAnalytics
+  alias Tymeslot.Security.RateLimiter
+  alias TymeslotWeb.Helpers.ClientIP
+
+  # Pages with several widgets batch them together; more is not a real page
+  @max_usernames_per_batch 5
+
+  @spec create(Plug.Conn.t(), map()) :: Plug.Conn.t()
+  def create(conn, params) do
+    # 60 batches per minute per IP, enough for a visitor clicking around
+    bucket_key = "embed_events:#{ClientIP.get(conn)}"
+
+    case RateLimiter.check_rate(bucket_key, 60_000, 60) do
+      {:allow, _count} ->
+        with {:ok, events} <- decode_events(params["events"]),
+             host when is_binary(host) <- request_host(conn),
+             false <- host == conn.host do
+          record_events(host, events)
+        end
+
+        send_resp(conn, 204, "")
+
+      {:deny, _limit} ->
+        Logger.warning("Embed events rate limit exceeded")
+
+        conn
+        |> put_resp_header("retry-after", "60")
+        |> send_resp(429, "")
+    end
+  end
+
+  defp decode_events(json) when is_binary(json) do
+    case Jason.decode(json) do
+      {:ok, events} when is_list(events) -> {:ok, Enum.filter(events, &is_map/1)}
+      _ -> :error
+    end
+  end
+
+  defp decode_events(_json), do: :error
+
+  defp record_events(host, events) do
+    events
+    |> Enum.group_by(& &1["username"])
+    |> Enum.filter(fn {username, _events} -> is_binary(username) end)
+    |> Enum.take(@max_usernames_per_batch)
+    |> Enum.each(fn {username, user_events} ->
+      with {:ok, profile} <- ProfileQueries.get_by_username(username) do
+        EmbedAnalytics.record_events(profile, host, user_events)
+      end
+    end)
+  end
+
+  # The page the widget runs on; sendBeacon sends an Origin on POST
+  defp request_host(conn) do
+    with [source | _] <-
+           get_req_header(conn, "origin") ++ get_req_header(conn, "referer"),
+         %URI{host: host} when is_binary(host) and host != "" <- URI.parse(source) do
+      String.downcase(host)
+    else
+      _ -> nil
+    end
+  end
+end
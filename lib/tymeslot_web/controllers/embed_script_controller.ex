@@ -0,0 +1,48 @@
+defmodule TymeslotWeb.EmbedScriptController do
+  @moduledoc """
+  Serves the published builds of `embed.js` (see `EmbedScript`).
+
+  `/embed/v1.2.3.js` never changes and is cached for a year. `/embed/v1.js`
+  serves the newest 1.x.y build and is cached for five minutes, so pages
+  using it pick up releases soon. Both are readable cross-origin, which
+  `integrity` with `crossorigin="anonymous"` needs. `/embed/manifest.json`
+  lists the integrity hash of every build.
+  """
+  use TymeslotWeb, :controller
+
+  alias TymeslotWeb.Helpers.EmbedScript
+
+  @spec show(Plug.Conn.t(), map()) :: Plug.Conn.t()
+  def show(conn, %{"file" => file}) do
+    case EmbedScript.resolve(file) do
+      {:build, version} ->
+        send_build(conn, version, "public, max-age=31536000, immutable")
+
+      {:alias, version} ->
+        send_build(conn, version, "public, max-age=300")
+
+      :error ->
+        conn
+        |> put_resp_header("access-control-allow-origin", "*")
+        |> send_resp(404, "")
+    end
+  end
+
+  @spec manifest(Plug.Conn.t(), map()) :: Plug.Conn.t()
+  def manifest(conn, _params) do
+    conn
+    |> put_resp_header("access-control-allow-origin", "*")
+    |> put_resp_header("cache-control", "public, max-age=300")
+    |> json(%{current: EmbedScript.current_version(), builds: EmbedScript.builds()})
+  end
+
+  defp send_build(conn, version, cache_control) do
+    conn
+    |> put_resp_content_type("text/javascript")
+    |> put_resp_header("access-control-allow-origin", "*")
+    |> put_resp_header("cache-control", cache_control)
+    |> put_resp_header("x-content-type-options", "nosniff")
+    |> put_resp_header("x-tymeslot-embed-version", version)
+    |> send_file(200, EmbedScript.path(version))
+  end
+end
@@ -0,0 +1,161 @@
+defmodule TymeslotWeb.EmbedSlotsController do
+  @moduledoc """
+  Serves the next free slots of a meeting type to `embed.js`'s slots widget.
+
+  Slots come from the same availability and calendar checks as the booking
+  page, and are cached per meeting type and timezone for a minute, so busy
+  pages don't walk months of availability on every view. Responses are
+  public and cacheable for as long; no session or cookies are read.
+  Cross-origin reads are only allowed for hosts on the profile's embed
+  allowlist, which get an `access-control-allow-origin` for their own
+  origin; other origins are refused. If availability can't be loaded the
+  response is a 503, so widgets don't show an empty calendar as fully booked.
+  """
+  use TymeslotWeb, :controller
+
+  require Logger
+  alias Tymeslot.DatabaseQueries.ProfileQueries
+  alias Tymeslot.Infrastructure.AvailabilityCache
+  alias Tymeslot.Profiles
+  alias Tymeslot.Scheduling.{LinkAccessPolicy, ThemeFlow}
+  alias Tymeslot.Security.RateLimiter
+  alias Tymeslot.Utils.TimezoneUtils
+  alias TymeslotWeb.Helpers.ClientIP
+  alias TymeslotWeb.Live.Scheduling.Helpers
+
+  @default_count 3
+  @max_count 10
+  @cache_ttl :timer.minutes(1)
+
+  @spec show(Plug.Conn.t(), map()) :: Plug.Conn.t()
+  def show(conn, %{"username" => username, "meeting_type" => slug} = params) do
+    # 60 lookups per minute per IP; widgets ask once per page view
+    bucket_key = "embed_slots:#{ClientIP.get(conn)}"
+
+    case RateLimiter.check_rate(bucket_key, 60_000, 60) do
+      {:allow, _count} ->
+        serve_slots(conn, username, slug, params)
+
+      {:deny, _limit} ->
+        Logger.warning("Embed slots rate limit exceeded")
+
+        conn
+        |> put_resp_header("retry-after", "60")
+        |> send_resp(429, "")
+    end
+  end
+
+  defp serve_slots(conn, username, slug, params) do
+    with {:ok, profile} <- ProfileQueries.get_by_username(username),
+         :ok <- check_origin(conn, profile),
+         {:ok, :ready} <- LinkAccessPolicy.check_public_readiness(profile),
+         %{} = meeting_type <- ThemeFlow.resolve_meeting_type_for_slug(profile.user_id, slug),
+         timezone = request_timezone(params, profile),
+         {:ok, slots} <- next_slots(profile, meeting_type, timezone) do
+      slots = Enum.take(slots, request_count(params))
+
+      conn
+      |> put_cors_headers()
+      |> put_resp_header("cache-control", "public, max-age=60")
+      |> json(%{
+        meeting_type: slug,
+        duration: meeting_type.duration_minutes,
+        timezone: timezone,
+        slots:
+          Enum.map(slots, fn slot ->
+            %{date: slot.date, time: slot.time, start: DateTime.to_iso8601(slot.start)}
+          end)
+      })
+    else
+      :origin_refused ->
+        conn
+        |> put_resp_header("vary", "origin")
+        |> send_resp(403, "")
+
+      {:error, :slots_unavailable} ->
+        conn
+        |> put_resp_header("vary", "origin")
+        |> put_resp_header("retry-after", "60")
+        |> send_resp(503, "")
+
+      _ ->
+        conn
+        |> put_resp_header("vary", "origin")
+        |> send_resp(404, "")
+    end
+  end
+
+  # Always computes @max_count slots so the requested count can't split the
+  # cache; failed lookups aren't kept
+  defp next_slots(profile, meeting_type, timezone) do
+    key = AvailabilityCache.next_slots_key(profile.id, meeting_type.id, timezone)
+    context = %{organizer_profile: profile}
+
+    result =
+      AvailabilityCache.get_or_compute(
+        key,
+        fn ->
+          Helpers.get_next_available_slots(profile, meeting_type, timezone, @max_count, context)
+        end,
+        @cache_ttl
+      )
+
+    case result do
+      {:ok, slots} ->
+        {:ok, slots}
+
+      {:error, reason} ->
+        AvailabilityCache.invalidate(key)
+        Logger.warning("Embed slots lookup failed: #{inspect(reason)}")
+        {:error, :slots_unavailable}
+    end
+  end
+
+  # Browsers send an Origin on cross-origin fetches; requests without one
+  # (same-origin, or not from a browser) can't be read by other sites anyway
+  defp check_origin(conn, profile) do
+    case request_origin_host(conn) do
+      nil -> :ok
+      host when host == conn.host -> :ok
+      host -> if Profiles.embed_host_allowed?(profile, host), do: :ok, else: :origin_refused
+    end
+  end
+
+  defp put_cors_headers(conn) do
+    conn =
+      case get_req_header(conn, "origin") do
+        [origin | _] -> put_resp_header(conn, "access-control-allow-origin", origin)
+        [] -> conn
+      end
+
+    put_resp_header(conn, "vary", "origin")
+  end
+
+  defp request_origin_host(conn) do
+    with [origin | _] <- get_req_header(conn, "origin"),
+         %URI{host: host} when is_binary(host) and host != "" <- URI.parse(origin) do
+      String.downcase(host)
+    else
+      _ -> nil
+    end
+  end
+
+  # The visitor's timezone from embed.js, else the owner's
+  defp request_timezone(%{"timezone" => timezone}, profile) when is_binary(timezone) do
+    normalized = TimezoneUtils.normalize_timezone(timezone)
+    if TimezoneUtils.valid_timezone?(normalized), do: normalized, else: owner_timezone(profile)
+  end
+
+  defp request_timezone(_params, profile), do: owner_timezone(profile)
+
+  defp owner_timezone(profile), do: profile.timezone || Profiles.get_default_timezone()
+
+  defp request_count(%{"count" => count}) when is_binary(count) do
+    case Integer.parse(count) do
+      {n, ""} when n > 0 -> min(n, @max_count)
+      _ -> @default_count
+    end
+  end
+
+  defp request_count(_params), do: @default_count
+end
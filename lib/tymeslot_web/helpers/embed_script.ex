@@ -0,0 +1,81 @@
+defmodule TymeslotWeb.Helpers.EmbedScript do
+  @moduledoc """
+  Published builds of `embed.js` (see `mix embed_publish`).
+
+  Each build is an immutable file in `priv/embed`, listed with its
+  Subresource Integrity hash in `priv/embed/manifest.json`. The manifest is
+  read at compile time, so publishing a build means recompiling.
+  """
+
+  @manifest_path "priv/embed/manifest.json"
+  @external_resource @manifest_path
+
+  @builds @manifest_path |> File.read!() |> Jason.decode!() |> Map.fetch!("builds")
+
+  @doc """
+  Returns published versions mapped to their integrity hashes.
+  """
+  @spec builds() :: %{String.t() => String.t()}
+  def builds, do: @builds
+
+  @doc """
+  Returns the newest published version, the one embed snippets pin.
+  """
+  @spec current_version() :: String.t()
+  def current_version do
+    @builds |> Map.keys() |> Enum.max(Version)
+  end
+
+  @doc """
+  Returns the newest published version with the given major version, or nil.
+  """
+  @spec latest(non_neg_integer()) :: String.t() | nil
+  def latest(major) do
+    @builds
+    |> Map.keys()
+    |> Enum.filter(&(Version.parse!(&1).major == major))
+    |> Enum.max(Version, fn -> nil end)
+  end
+
+  @doc """
+  Returns the integrity hash of a published version, or nil.
+  """
+  @spec integrity(String.t()) :: String.t() | nil
+  def integrity(version), do: Map.get(@builds, version)
+
+  @doc """
+  Returns the path of a published version's file.
+  """
+  @spec path(String.t()) :: String.t()
+  def path(version), do: Application.app_dir(:tymeslot, "priv/embed/v#{version}.js")
+
+  @doc """
+  Resolves a file name under /embed: `"v1.2.3.js"` to that build, `"v1.js"`
+  to the newest 1.x.y build.
+  """
+  @spec resolve(String.t()) :: {:build | :alias, String.t()} | :error
+  def resolve(file) when is_binary(file) do
+    cond do
+      match = Regex.run(~r/\Av(\d+\.\d+\.\d+)\.js\z/, file) ->
+        version = Enum.at(match, 1)
+        if Map.has_key?(@builds, version), do: {:build, version}, else: :error
+
+      match = Regex.run(~r/\Av(\d{1,3})\.js\z/, file) ->
+        case latest(String.to_integer(Enum.at(match, 1))) do
+          nil -> :error
+          version -> {:alias, version}
+        end
+
+      true ->
+        :error
+    end
+  end
+
+  @doc """
+  Computes the SHA-384 Subresource Integrity hash of a script.
+  """
+  @spec integrity_hash(iodata()) :: String.t()
+  def integrity_hash(contents) do
+    "sha384-" <> Base.encode64(:crypto.hash(:sha384, contents))
+  end
+end
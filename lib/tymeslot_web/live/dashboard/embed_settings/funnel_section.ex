@@ -0,0 +1,103 @@
+defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.FunnelSection do
+  @moduledoc """
+  Renders the embed funnel and conversion chart for the embed settings dashboard.
+  """
+  use TymeslotWeb, :html
+
+  @step_labels %{
+    "impression" => "Widget shown",
+    "open" => "Popup opened",
+    "meeting_type_selected" => "Meeting type selected",
+    "slot_selected" => "Time slot selected",
+    "form_started" => "Booking form started",
+    "confirmed" => "Booking confirmed"
+  }
+
+  @doc """
+  Renders the funnel section.
+  """
+  attr :funnel, :map, required: true
+  attr :filters, :map, required: true
+  attr :myself, :any, required: true
+
+  @spec funnel_section(map()) :: Phoenix.LiveView.Rendered.t()
+  def funnel_section(assigns) do
+    assigns = assign(assigns, :step_labels, @step_labels)
+
+    ~H"""
+    <div class="bg-white rounded-token-2xl border-2 border-tymeslot-200 p-8">
+      <div class="mb-6">
+        <h3 class="text-token-2xl font-bold text-tymeslot-900">Embed Funnel</h3>
+        <p class="text-tymeslot-600 mt-1">
+          How visitors on your allowed domains move through your booking widget in the last 30 days.
+          Only daily counts are kept, without cookies or visitor identifiers.
+        </p>
+      </div>
+
+      <form
+        id="embed-funnel-filters"
+        phx-change="filter_funnel"
+        phx-target={@myself}
+        class="mb-6 grid grid-cols-1 sm:grid-cols-2 gap-4"
+      >
+        <label class="block text-token-sm font-semibold text-tymeslot-700">
+          Embed type
+          <select
+            name="embed_type"
+            class="mt-1 block w-full rounded-token-lg border-2 border-tymeslot-200 px-3 py-2"
+          >
+            <option value="">All types</option>
+            <option
+              :for={type <- @funnel.embed_types}
+              value={type}
+              selected={@filters["embed_type"] == type}
+            >
+              {String.capitalize(type)}
+            </option>
+          </select>
+        </label>
+        <label class="block text-token-sm font-semibold text-tymeslot-700">
+          Host domain
+          <select
+            name="host"
+            class="mt-1 block w-full rounded-token-lg border-2 border-tymeslot-200 px-3 py-2"
+          >
+            <option value="">All domains</option>
+            <option :for={host <- @funnel.hosts} value={host} selected={@filters["host"] == host}>
+              {host}
+            </option>
+          </select>
+        </label>
+      </form>
+
+      <%= if @funnel.conversion do %>
+        <div class="space-y-3" id="embed-funnel-chart">
+          <div :for={step <- @funnel.steps} class="grid grid-cols-12 items-center gap-3">
+            <span class="col-span-4 text-token-sm font-semibold text-tymeslot-700">
+              {@step_labels[step.step]}
+            </span>
+            <div class="col-span-6 h-6 bg-tymeslot-100 rounded-token-lg overflow-hidden">
+              <div
+                class="h-full bg-gradient-to-r from-turquoise-500 to-cyan-500"
+                style={"width: #{min(step.conversion, 100)}%"}
+              >
+              </div>
+            </div>
+            <span class="col-span-2 text-token-sm text-tymeslot-700 text-right">
+              {step.count} <span class="text-tymeslot-500">({step.conversion}%)</span>
+            </span>
+          </div>
+
+          <p class="pt-4 text-token-sm text-tymeslot-700">
+            <strong>Conversion:</strong> {@funnel.conversion}% of visitors who saw or opened the widget booked a meeting.
+          </p>
+        </div>
+      <% else %>
+        <p class="text-token-sm text-tymeslot-600" id="embed-funnel-empty">
+          No embed activity yet. Numbers show up here once your widget is used on one of your allowed domains.
+        </p>
+      <% end %>
+    </div>
+    """
+  end
+end
@@ -7,6 +7,10 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.Helpers do
 
   alias Tymeslot.Security.FieldValidators.UsernameValidator
   alias Tymeslot.Security.UniversalSanitizer
+  alias TymeslotWeb.Helpers.EmbedScript
+
+  @floating_positions ~w(right left)
+  @floating_label_max_length 40
 
   @doc """
   Generates the embed code snippet for a given type.
@@ -15,34 +19,25 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.Helpers do
   def embed_code("inline", %{username: username, base_url: base_url} = options) do
     username = sanitize_username(username)
     base_url = escape(base_url)
-    locale = sanitize_locale(options[:locale])
-    data_locale = if locale != "", do: " data-locale=\"#{locale}\"", else: ""
-
-    theme = sanitize_theme(options[:theme])
-    data_theme = if theme, do: " data-theme=\"#{theme}\"", else: ""
-
-    primary_color = sanitize_primary_color(options[:primary_color])
-
-    data_primary_color =
-      if primary_color, do: " data-primary-color=\"#{primary_color}\"", else: ""
 
     String.trim("""
     <!-- Tymeslot Inline -->
-    <div id="tymeslot-booking" data-username="#{username}"#{data_locale}#{data_theme}#{data_primary_color}></div>
-    <script src="#{base_url}/embed.js" async></script>
+    <div id="tymeslot-booking" data-username="#{username}"#{data_attributes(options)}></div>
+    #{script_tag(base_url)}
     """)
   end
 
+  # Uses embed.js' delegated data-tymeslot-popup handler rather than an inline
+  # onclick, so the snippet works under a strict Content-Security-Policy
   @spec embed_code(String.t(), map()) :: String.t()
   def embed_code("popup", %{username: username, base_url: base_url} = options) do
     username = sanitize_username(username)
     base_url = escape(base_url)
-    js_options = build_js_options(options)
 
     String.trim("""
     <!-- Tymeslot Popup -->
-    <button onclick="if(window.TymeslotBooking){TymeslotBooking.open('#{username}'#{js_options})}else{alert('Booking system is currently unavailable.')}">Book a Meeting</button>
-    <script src="#{base_url}/embed.js" async></script>
+    <button type="button" data-tymeslot-popup="#{username}"#{data_attributes(options)}>Book a Meeting</button>
+    #{script_tag(base_url)}
     """)
   end
 
@@ -59,11 +54,11 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.Helpers do
   def embed_code("floating", %{username: username, base_url: base_url} = options) do
     username = sanitize_username(username)
     base_url = escape(base_url)
-    js_options = build_js_options(options)
+    js_options = build_js_options(options, floating_js_options(options[:floating_options]))
 
     String.trim("""
     <!-- Tymeslot Floating Button -->
-    <script src="#{base_url}/embed.js" async></script>
+    #{script_tag(base_url)}
     <script>
       (function() {
         var init = function() {
@@ -82,13 +77,54 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.Helpers do
   @spec embed_code(any(), any()) :: String.t()
   def embed_code(_, _), do: ""
 
-  defp build_js_options(options) do
+  # Pins the current published build, checked by the browser against its
+  # integrity hash, so server upgrades don't change the customer's site
+  defp script_tag(base_url) do
+    version = EmbedScript.current_version()
+
+    ~s(<script src="#{base_url}/embed/v#{version}.js" ) <>
+      ~s(integrity="#{EmbedScript.integrity(version)}" crossorigin="anonymous" async></script>)
+  end
+
+  defp data_attributes(options) do
+    locale = sanitize_locale(options[:locale])
+    data_locale = if locale != "", do: " data-locale=\"#{locale}\"", else: ""
+
+    theme = sanitize_theme(options[:theme])
+    data_theme = if theme, do: " data-theme=\"#{theme}\"", else: ""
+
+    primary_color = sanitize_primary_color(options[:primary_color])
+
+    data_primary_color =
+      if primary_color, do: " data-primary-color=\"#{primary_color}\"", else: ""
+
+    data_locale <> data_theme <> data_primary_color
+  end
+
+  @doc """
+  Normalizes the floating button options picked in the dashboard preview.
+
+  Unknown positions fall back to the right-hand corner; labels are reduced to
+  plain text so they can be inlined in the generated snippet.
+  """
+  @spec floating_options(map()) :: %{position: String.t(), label: String.t()}
+  def floating_options(params) when is_map(params) do
+    %{
+      position: sanitize_floating_position(params["position"]),
+      label: sanitize_floating_label(params["label"])
+    }
+  end
+
+  def floating_options(_), do: floating_options(%{})
+
+  defp build_js_options(options, extra \\ []) do
     js_list =
       %{
         locale: sanitize_locale(options[:locale]),
         theme: sanitize_theme(options[:theme]),
         primaryColor: sanitize_primary_color(options[:primary_color])
       }
+      |> Enum.concat(extra)
       |> Enum.reject(fn {_k, v} -> v == nil || v == "" end)
       |> Enum.map(fn {k, v} -> "#{k}: '#{v}'" end)
 
@@ -98,6 +134,18 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.Helpers do
     end
   end
 
+  # Right is embed.js' default, so only a left position needs spelling out
+  defp floating_js_options(%{} = floating) do
+    position = sanitize_floating_position(Map.get(floating, :position))
+
+    [
+      position: if(position == "left", do: position),
+      label: sanitize_floating_label(Map.get(floating, :label))
+    ]
+  end
+
+  defp floating_js_options(_), do: []
+
   defp escape(nil), do: ""
   defp escape(val), do: val |> HTML.html_escape() |> HTML.safe_to_string()
 
@@ -148,4 +196,16 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.Helpers do
       ""
     end
   end
+
+  defp sanitize_floating_position(position) when position in @floating_positions, do: position
+  defp sanitize_floating_position(_), do: "right"
+
+  defp sanitize_floating_label(label) when is_binary(label) do
+    label
+    |> String.replace(~r/[^\p{L}\p{N} .,!?&()-]/u, "")
+    |> String.trim()
+    |> String.slice(0, @floating_label_max_length)
+  end
+
+  defp sanitize_floating_label(_), do: ""
 end
@@ -15,6 +15,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.LivePreview do
   attr :embed_script_url, :string, required: true
   attr :is_ready, :boolean, required: true
   attr :error_reason, :any, required: true
+  attr :floating_options, :map, default: %{position: "right", label: ""}
   attr :myself, :any, required: true
 
   @spec live_preview(map()) :: Phoenix.LiveView.Rendered.t()
@@ -47,6 +48,42 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.LivePreview do
           </div>
         </div>
 
+        <!-- Floating button position and label; shown in the preview and the copied snippet -->
+        <form
+          :if={@selected_embed_type == "floating"}
+          id="floating-options-form"
+          phx-change="update_floating_options"
+          phx-target={@myself}
+          class="mb-6 grid grid-cols-1 sm:grid-cols-2 gap-4"
+        >
+          <label class="block text-token-sm font-semibold text-tymeslot-700">
+            Position
+            <select
+              name="floating[position]"
+              class="mt-1 block w-full rounded-token-lg border-2 border-tymeslot-200 px-3 py-2"
+            >
+              <option value="right" selected={@floating_options[:position] != "left"}>Bottom right</option>
+              <option value="left" selected={@floating_options[:position] == "left"}>Bottom left</option>
+            </select>
+          </label>
+          <label class="block text-token-sm font-semibold text-tymeslot-700">
+            Button label
+            <input
+              type="text"
+              name="floating[label]"
+              value={@floating_options[:label]}
+              maxlength="40"
+              placeholder="Icon only"
+              phx-debounce="300"
+              class="mt-1 block w-full rounded-token-lg border-2 border-tymeslot-200 px-3 py-2"
+            />
+          </label>
+          <p class="sm:col-span-2 text-token-xs text-tymeslot-500">
+            The preview shows the position and label only. Offsets, icon or avatar, visibility
+            rules and auto-open triggers take effect once you add them to the snippet on your site.
+          </p>
+        </form>
+
         <!-- The actual booking widget will be loaded here via JavaScript -->
         <div
           id="live-preview-container"
@@ -56,6 +93,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.LivePreview do
           data-embed-script-url={@embed_script_url}
           data-embed-type={@selected_embed_type}
           data-is-ready={to_string(@is_ready)}
+          data-floating-options={Jason.encode!(@floating_options)}
           class="min-h-[400px] border-2 border-dashed border-tymeslot-200 rounded-token-lg flex items-center justify-center bg-tymeslot-50 overflow-hidden"
         >
         </div>
@@ -13,6 +13,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.OptionsGrid do
   attr :username, :string, required: true
   attr :base_url, :string, required: true
   attr :booking_url, :string, required: true
+  attr :floating_options, :map, default: %{}
   attr :myself, :any, required: true
 
   @spec options_grid(map()) :: Phoenix.LiveView.Rendered.t()
@@ -54,7 +55,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.OptionsGrid do
           {Helpers.embed_code("inline", %{username: @username, base_url: @base_url})}
         </:code>
         <:footer_info>
-          Embeds seamlessly into your page content. Supports <code>data-theme</code>, <code>data-primary-color</code>, and <code>data-locale</code>.
+          Embeds seamlessly into your page content. Supports <code>data-theme</code>, <code>data-primary-color</code>, <code>data-color-scheme</code> (<code>light</code>, <code>dark</code> or <code>auto</code> to follow your site), <code>data-branding="inherit"</code> (your site's accent color, text color and font), <code>data-locale</code>, <code>data-timezone</code> (an IANA name such as <code>America/Chicago</code>), <code>data-hour-cycle</code> (<code>h12</code> or <code>h23</code>), <code>data-meeting-type</code>, <code>data-date</code>, <code>data-prefill-name</code>/<code>-email</code>/<code>-notes</code>, <code>data-confirmed-redirect</code> (a thank-you page on an allowed domain to send visitors to after booking; add <code>data-confirmed-redirect-details="true"</code> for the booking reference, start time and meeting type), and <code>data-loading="lazy"</code>.
         </:footer_info>
       </.embed_option_card>
       <.embed_option_card
@@ -89,7 +90,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.OptionsGrid do
           {Helpers.embed_code("popup", %{username: @username, base_url: @base_url})}
         </:code>
         <:footer_info>
-          Opens booking in a fullscreen modal. Great for CTAs and hero sections. Supports <code>locale</code>, <code>theme</code>, and <code>primaryColor</code> options.
+          Opens booking in a fullscreen modal. Great for CTAs and hero sections. Works under a strict Content-Security-Policy. Supports the same <code>data-*</code> attributes as the inline embed, or <code>TymeslotBooking.open()</code> with <code>locale</code>, <code>theme</code>, <code>primaryColor</code>, <code>colorScheme</code>, <code>timezone</code>, <code>hourCycle</code>, <code>meetingType</code>, <code>date</code>, <code>time</code>, <code>prefill</code>, and <code>onConfirmedRedirect</code> options. To show your next free times right on your page, add <code>&lt;div data-tymeslot-slots="{@username}" data-meeting-type="..." data-count="3"&gt;&lt;/div&gt;</code>; each time opens the popup on that slot.
         </:footer_info>
       </.embed_option_card>
 
@@ -125,7 +126,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.OptionsGrid do
           {Helpers.embed_code("link", %{booking_url: @booking_url})}
         </:code>
         <:footer_info>
-          Share in emails, social media, or anywhere you can paste a link.
+          Share in emails, social media, or anywhere you can paste a link. On your own site, add <code>data-tymeslot-intercept</code> to the <code>embed.js</code> script tag to open these links in the popup.
         </:footer_info>
       </.embed_option_card>
 
@@ -163,10 +164,14 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.OptionsGrid do
           </div>
         </:preview>
         <:code>
-          {Helpers.embed_code("floating", %{username: @username, base_url: @base_url})}
+          {Helpers.embed_code("floating", %{
+            username: @username,
+            base_url: @base_url,
+            floating_options: @floating_options
+          })}
         </:code>
         <:footer_info>
-          Always visible on every page. Like a chat widget for booking meetings. Supports <code>theme</code>, <code>primaryColor</code>, and <code>locale</code> customization.
+          Always visible on every page. Like a chat widget for booking meetings. Supports <code>theme</code>, <code>primaryColor</code>, <code>locale</code>, <code>position</code>, <code>label</code>, <code>icon</code>/<code>avatar</code>, <code>hideOnMobile</code>, <code>hideOnPaths</code>, and <code>autoOpen</code> triggers. Restyle the button and modal with <code>--tymeslot-*</code> CSS variables and <code>::part()</code>.
         </:footer_info>
       </.embed_option_card>
     </div>
@@ -4,10 +4,13 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.SecuritySection do
   """
   use TymeslotWeb, :html
 
+  alias TymeslotWeb.Components.UI.StatusSwitch
+
   @doc """
   Renders the security settings section.
   """
   attr :allowed_domains, :list, required: true
+  attr :share_booker_details, :boolean, default: false
   attr :myself, :any, required: true
 
   @spec security_section(map()) :: Phoenix.LiveView.Rendered.t()
@@ -49,6 +52,18 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.SecuritySection do
                 <li><strong>Add domains</strong> to enable and restrict embedding to only those sites</li>
                 <li><strong>Use Disable Embedding</strong> to block all embedding (default)</li>
                 <li>Example: <code class="bg-blue-100 px-2 py-0.5 rounded">example.com, myportfolio.net</code></li>
+                <li>
+                  If your site sends a Content-Security-Policy, allow this Tymeslot origin in
+                  <code class="bg-blue-100 px-2 py-0.5 rounded">script-src</code>, <code class="bg-blue-100 px-2 py-0.5 rounded">frame-src</code>
+                  and <code class="bg-blue-100 px-2 py-0.5 rounded">connect-src</code>. With Trusted Types enforced, add
+                  <code class="bg-blue-100 px-2 py-0.5 rounded">trusted-types tymeslot</code>.
+                </li>
+                <li>
+                  Snippets pin a versioned script with an <code class="bg-blue-100 px-2 py-0.5 rounded">integrity</code> hash,
+                  so updates never change your site unannounced. Use
+                  <code class="bg-blue-100 px-2 py-0.5 rounded">/embed/v1.js</code> instead to follow new 1.x releases;
+                  hashes of all builds are in <code class="bg-blue-100 px-2 py-0.5 rounded">/embed/manifest.json</code>.
+                </li>
               </ul>
             </div>
           </div>
@@ -139,6 +154,28 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.SecuritySection do
             <% end %>
           </div>
         </.form_wrapper>
+
+        <!-- Lifecycle Event Data -->
+        <div class="flex items-start justify-between gap-6 bg-tymeslot-50 rounded-token-lg p-4 border-2 border-tymeslot-200">
+          <div class="space-y-1">
+            <p class="text-token-sm font-semibold text-tymeslot-700">
+              Share booker details with your website
+            </p>
+            <p class="text-token-xs text-tymeslot-600">
+              Embed events (<code class="bg-tymeslot-100 px-1 py-0.5 rounded">TymeslotBooking.on</code>)
+              never include personal data by default. When enabled, the
+              <code class="bg-tymeslot-100 px-1 py-0.5 rounded">booking:confirmed</code>
+              event also carries the booker's name, email and meeting ID.
+            </p>
+          </div>
+          <StatusSwitch.status_switch
+            id="embed-share-booker-details-toggle"
+            checked={@share_booker_details}
+            on_change="toggle_share_booker_details"
+            target={@myself}
+            size={:medium}
+          />
+        </div>
       </div>
     </div>
     """
@@ -6,11 +6,13 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsComponent do
   use TymeslotWeb, :live_component
 
   alias Ecto.Changeset
+  alias Tymeslot.EmbedAnalytics
   alias Tymeslot.Profiles
   alias Tymeslot.Scheduling.LinkAccessPolicy
   alias Tymeslot.Security.RateLimiter
   alias Tymeslot.Security.Security
   alias TymeslotWeb.Endpoint
+  alias TymeslotWeb.Live.Dashboard.EmbedSettings.FunnelSection
   alias TymeslotWeb.Live.Dashboard.EmbedSettings.Helpers
   alias TymeslotWeb.Live.Dashboard.EmbedSettings.LivePreview
   alias TymeslotWeb.Live.Dashboard.EmbedSettings.OptionsGrid
@@ -57,9 +59,14 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsComponent do
       |> assign(:is_ready, is_ready)
       |> assign(:error_reason, error_reason)
       |> assign(:allowed_domains, allowed_domains)
+      |> assign(:share_booker_details, profile.embed_share_booker_details == true)
       |> assign_new(:selected_embed_type, fn -> "inline" end)
+      |> assign_new(:floating_options, fn -> Helpers.floating_options(%{}) end)
       |> assign_new(:embed_script_url, fn -> ~p"/embed.js" end)
       |> assign_new(:active_tab, fn -> "options" end)
+      |> assign_new(:funnel_filters, fn -> %{"embed_type" => "", "host" => ""} end)
+      |> assign_new(:funnel, fn -> nil end)
+      |> maybe_assign_funnel()
 
     {:ok, socket}
   end
@@ -87,6 +94,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsComponent do
             username={@username}
             base_url={@base_url}
             booking_url={@booking_url}
+            floating_options={@floating_options}
             myself={@myself}
           />
         </:tab>
@@ -94,6 +102,16 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsComponent do
         <:tab id="security" label="Security" icon={:lock}>
           <SecuritySection.security_section
             allowed_domains={@allowed_domains}
+            share_booker_details={@share_booker_details}
+            myself={@myself}
+          />
+        </:tab>
+
+        <:tab id="analytics" label="Analytics" icon={:chart_bar}>
+          <FunnelSection.funnel_section
+            :if={@funnel}
+            funnel={@funnel}
+            filters={@funnel_filters}
             myself={@myself}
           />
         </:tab>
@@ -106,6 +124,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsComponent do
             embed_script_url={@embed_script_url}
             is_ready={@is_ready}
             error_reason={@error_reason}
+            floating_options={@floating_options}
             myself={@myself}
           />
         </:tab>
@@ -116,7 +135,16 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsComponent do
 
   @impl true
   def handle_event("switch_tab", %{"tab" => tab}, socket) do
-    {:noreply, assign(socket, :active_tab, tab)}
+    {:noreply, socket |> assign(:active_tab, tab) |> maybe_assign_funnel()}
+  end
+
+  def handle_event("filter_funnel", params, socket) do
+    filters = %{
+      "embed_type" => Map.get(params, "embed_type", ""),
+      "host" => Map.get(params, "host", "")
+    }
+
+    {:noreply, socket |> assign(:funnel_filters, filters) |> maybe_assign_funnel()}
   end
 
   def handle_event("copy_code", %{"type" => type}, socket) do
@@ -132,6 +160,10 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsComponent do
     {:noreply, assign(socket, :selected_embed_type, type)}
   end
 
+  def handle_event("update_floating_options", %{"floating" => params}, socket) do
+    {:noreply, assign(socket, :floating_options, Helpers.floating_options(params))}
+  end
+
   def handle_event("save_embed_domains", %{"allowed_domains" => domains_str}, socket) do
     # Split and clean input
     input_domains =
@@ -189,6 +221,45 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsComponent do
     perform_domain_update(socket, ["none"], "Embedding is now disabled")
   end
 
+  def handle_event("toggle_share_booker_details", _params, socket) do
+    enabled = !socket.assigns.share_booker_details
+
+    case Profiles.update_embed_share_booker_details(socket.assigns.profile, enabled) do
+      {:ok, updated_profile} ->
+        send(self(), {:profile_updated, updated_profile})
+
+        if enabled do
+          Flash.info("Booker details will be shared in embed events")
+        else
+          Flash.info("Booker details are no longer shared in embed events")
+        end
+
+        {:noreply,
+         socket
+         |> assign(:profile, updated_profile)
+         |> assign(:share_booker_details, updated_profile.embed_share_booker_details)}
+
+      {:error, _changeset} ->
+        Flash.error("Failed to update embed event settings")
+        {:noreply, socket}
+    end
+  end
+
+  # The funnel is only queried while its tab is showing
+  defp maybe_assign_funnel(%{assigns: %{active_tab: "analytics"}} = socket) do
+    filters = socket.assigns.funnel_filters
+
+    funnel =
+      EmbedAnalytics.funnel(socket.assigns.profile.id,
+        embed_type: filters["embed_type"],
+        host: filters["host"]
+      )
+
+    assign(socket, :funnel, funnel)
+  end
+
+  defp maybe_assign_funnel(socket), do: socket
+
   defp perform_domain_update(socket, domains_payload, success_message) do
     user_id = socket.assigns.current_user.id
 
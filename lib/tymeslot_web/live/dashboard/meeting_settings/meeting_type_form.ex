@@ -146,6 +146,38 @@ defmodule TymeslotWeb.Dashboard.MeetingSettings.MeetingTypeForm do
         myself={@myself}
       />
 
+      <div>
+        <.input
+          type="url"
+          name="meeting_type[confirmation_redirect_url]"
+          label="Redirect after booking (optional)"
+          value={Map.get(@form_data, "confirmation_redirect_url", "")}
+          maxlength="2000"
+          placeholder="https://example.com/thank-you"
+          phx-change="validate_meeting_type"
+          phx-target={@myself}
+          errors={
+            FormValidationHelpers.field_errors(@form_errors, :confirmation_redirect_url)
+            |> Enum.map(&Helpers.format_errors/1)
+          }
+          icon="hero-arrow-top-right-on-square"
+        />
+        <p class="mt-1 text-token-sm text-tymeslot-600">
+          Embedded booking pages send visitors here once their booking is confirmed.
+          The page must be on a domain in your embed allowlist.
+        </p>
+        <label class="mt-3 flex items-center gap-3 text-token-sm font-medium text-tymeslot-700">
+          <.input
+            type="checkbox"
+            name="meeting_type[redirect_with_details]"
+            value={Map.get(@form_data, "redirect_with_details", "false")}
+            phx-change="validate_meeting_type"
+            phx-target={@myself}
+          />
+          <span>Add the booking reference, start time and meeting type to the URL</span>
+        </label>
+      </div>
+
       <!-- Hidden fields -->
       <%= for reminder <- @reminders do %>
         <input type="hidden" name="meeting_type[reminder_config][][value]" value={reminder.value} />
@@ -451,6 +483,29 @@ defmodule TymeslotWeb.Dashboard.MeetingSettings.MeetingTypeForm do
     end
   end
 
+  defp validate_and_update_field(
+         "confirmation_redirect_url",
+         value,
+         metadata,
+         acc_data,
+         acc_errors
+       ) do
+    case MeetingSettingsInputProcessor.validate_meeting_type_field(
+           :confirmation_redirect_url,
+           value,
+           metadata: metadata
+         ) do
+      {:ok, _sanitized} ->
+        {acc_data, Map.delete(acc_errors, :confirmation_redirect_url)}
+
+      {:error, %{confirmation_redirect_url: msg}} ->
+        {acc_data, Map.put(acc_errors, :confirmation_redirect_url, msg)}
+
+      {:error, _} ->
+        {acc_data, acc_errors}
+    end
+  end
+
   defp validate_and_update_field(_other, _value, _metadata, acc_data, acc_errors),
     do: {acc_data, acc_errors}
 
@@ -520,7 +575,14 @@ defmodule TymeslotWeb.Dashboard.MeetingSettings.MeetingTypeForm do
   end
 
   defp build_form_data(nil) do
-    %{"name" => "", "duration" => "30", "description" => "", "icon" => "none"}
+    %{
+      "name" => "",
+      "duration" => "30",
+      "description" => "",
+      "icon" => "none",
+      "confirmation_redirect_url" => "",
+      "redirect_with_details" => "false"
+    }
   end
 
   defp build_form_data(type) do
@@ -528,7 +590,9 @@ defmodule TymeslotWeb.Dashboard.MeetingSettings.MeetingTypeForm do
       "name" => type.name || "",
       "duration" => to_string(type.duration_minutes || 30),
       "description" => type.description || "",
-      "icon" => type.icon || "none"
+      "icon" => type.icon || "none",
+      "confirmation_redirect_url" => type.confirmation_redirect_url || "",
+      "redirect_with_details" => to_string(type.redirect_with_details)
     }
   end
 
@@ -241,10 +241,11 @@ defmodule TymeslotWeb.Live.Scheduling.Handlers.BookingSubmissionHandlerComponent
       meeting_params: %{
         date: socket.assigns.selected_date,
         time: socket.assigns.selected_time,
-        duration: socket.assigns.duration || socket.assigns.selected_duration,
+        duration: booking_duration(socket),
         user_timezone: socket.assigns.user_timezone,
         organizer_user_id: socket.assigns.organizer_user_id,
         meeting_type_id: get_meeting_type_id(socket),
+        attribution: socket.assigns[:embed_attribution],
         # Always true for public booking flow
         with_video_room: true
       }
@@ -276,6 +277,15 @@ defmodule TymeslotWeb.Live.Scheduling.Handlers.BookingSubmissionHandlerComponent
     end
   end
 
+  # Slug-based links (e.g. /username/product-demo) leave a slug in :duration,
+  # so prefer the resolved meeting type's length, as slot fetching does.
+  defp booking_duration(socket) do
+    case socket.assigns[:meeting_type] do
+      %{duration_minutes: minutes} when is_integer(minutes) -> "#{minutes}min"
+      _ -> socket.assigns.duration || socket.assigns.selected_duration
+    end
+  end
+
   defp get_meeting_type_id(socket) do
     case socket.assigns[:meeting_type] do
       %{id: id} -> id
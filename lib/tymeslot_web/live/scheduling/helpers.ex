@@ -313,6 +313,125 @@ defmodule TymeslotWeb.Live.Scheduling.Helpers do
     end
   end
 
+  # How far ahead get_next_available_slots/5 looks, in months
+  @next_slots_months 4
+
+  @doc """
+  Gets the next free slots for a meeting type, starting today in `user_timezone`.
+
+  Walks the month availability (cached) to find bookable days, then loads
+  slots day by day until `count` are found, so busy calendars and the
+  profile's booking constraints apply exactly as on the booking page.
+
+  ## Returns
+    - `{:ok, slots}` with up to `count` maps of `:date` ("2026-01-15"),
+      `:time` ("9:00 AM", the booking page's slot value) and `:start`
+      (a DateTime in `user_timezone`)
+    - `{:error, reason}` if a month's availability couldn't be loaded
+  """
+  @spec get_next_available_slots(map(), map(), String.t(), pos_integer(), map() | nil) ::
+          {:ok, [map()]} | {:error, any()}
+  def get_next_available_slots(
+        organizer_profile,
+        meeting_type,
+        user_timezone,
+        count,
+        context \\ nil
+      ) do
+    today =
+      case DateTime.now(user_timezone) do
+        {:ok, dt} -> DateTime.to_date(dt)
+        _ -> Date.utc_today()
+      end
+
+    duration_minutes = meeting_type.duration_minutes
+
+    0..(@next_slots_months - 1)
+    |> Enum.map(&(today |> Date.beginning_of_month() |> Date.shift(month: &1)))
+    |> Enum.reduce_while({:ok, []}, fn month_start, {:ok, found} ->
+      case available_dates(
+             month_start,
+             today,
+             user_timezone,
+             organizer_profile,
+             context,
+             duration_minutes
+           ) do
+        {:ok, dates} ->
+          more =
+            dates
+            |> Stream.flat_map(fn date ->
+              slots_on(date, user_timezone, organizer_profile, context, duration_minutes)
+            end)
+            |> Enum.take(count - length(found))
+
+          found = found ++ more
+
+          if length(found) < count, do: {:cont, {:ok, found}}, else: {:halt, {:ok, found}}
+
+        {:error, reason} ->
+          {:halt, {:error, reason}}
+      end
+    end)
+  end
+
+  defp available_dates(month_start, today, user_timezone, profile, context, duration_minutes) do
+    case get_month_availability(
+           profile.user_id,
+           month_start.year,
+           month_start.month,
+           user_timezone,
+           profile,
+           context,
+           duration_minutes
+         ) do
+      {:ok, availability} ->
+        dates =
+          availability
+          |> Enum.filter(fn {_date, available?} -> available? end)
+          |> Enum.map(fn {date, _available?} -> Date.from_iso8601!(date) end)
+          |> Enum.filter(&(Date.compare(&1, today) != :lt))
+          |> Enum.sort(Date)
+
+        {:ok, dates}
+
+      {:error, reason} ->
+        Logger.warning("Failed to load month availability: #{inspect(reason)}")
+        {:error, reason}
+    end
+  end
+
+  defp slots_on(date, user_timezone, profile, context, duration_minutes) do
+    date_string = Date.to_iso8601(date)
+
+    case get_available_slots(
+           date_string,
+           "#{duration_minutes}min",
+           user_timezone,
+           profile.user_id,
+           profile,
+           context
+         ) do
+      {:ok, slots} ->
+        slots
+        |> Enum.flat_map(fn slot ->
+          case DateTimeUtils.parse_slot_time(slot) do
+            {:ok, time} ->
+              start = DateTimeUtils.create_datetime_safe(date, time, user_timezone)
+              [%{date: date_string, time: slot, start: start}]
+
+            {:error, _reason} ->
+              []
+          end
+        end)
+        |> Enum.sort_by(& &1.start, DateTime)
+
+      {:error, reason} ->
+        Logger.warning("Failed to load available slots: #{inspect(reason)}")
+        []
+    end
+  end
+
   @doc """
   Orchestrates fetching availability for a month, either synchronously (in tests) or asynchronously.
   Updates the socket with loading states and task references.
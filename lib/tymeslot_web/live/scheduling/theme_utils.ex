@@ -12,6 +12,7 @@ defmodule TymeslotWeb.Live.Scheduling.ThemeUtils do
   alias Tymeslot.Profiles
   alias Tymeslot.Themes.Theme
   alias Tymeslot.Utils.TimezoneUtils
+  alias TymeslotWeb.Themes.Shared.LocalizationHelpers
 
   @doc """
   Assigns theme-related data to the socket dynamically based on the theme_id.
@@ -68,18 +69,33 @@ defmodule TymeslotWeb.Live.Scheduling.ThemeUtils do
 
   This function detects the user's timezone from:
   1. Browser-detected timezone (via JavaScript in connect_params)
-  2. Explicit timezone parameter (from URL or form)
+  2. Explicit timezone parameter (from URL), when it is a known IANA name
   3. System default timezone as fallback
 
+  In a framed page (an embed, reported as `framed` in connect_params) the
+  parameter comes first: it is the host page's `timezone` option. Elsewhere
+  it may come from a link someone in another timezone shared, so the
+  browser's wins. The result is assigned as `:user_timezone`, and whether
+  the page is framed as `:framed`.
+
+  A timezone the booker picks afterwards replaces this one for the rest of
+  the session.
+
   This is common logic used by most themes during initialization.
   """
   @spec assign_user_timezone(Phoenix.LiveView.Socket.t(), map()) :: Phoenix.LiveView.Socket.t()
   def assign_user_timezone(socket, params) do
-    # Try to get timezone from browser detection, then params, then default
+    connect_params = get_connect_params(socket) || %{}
+    framed = connect_params["framed"] == true
+
     timezone =
-      get_connect_params(socket)["timezone"] ||
-        params["timezone"] ||
-        Profiles.get_default_timezone()
+      if framed do
+        param_timezone(params) || connect_params["timezone"]
+      else
+        connect_params["timezone"] || param_timezone(params)
+      end
+
+    timezone = timezone || Profiles.get_default_timezone()
 
     # Normalize timezone to ensure consistency
     normalized_timezone = TimezoneUtils.normalize_timezone(timezone)
@@ -99,6 +115,26 @@ defmodule TymeslotWeb.Live.Scheduling.ThemeUtils do
         end
       end
 
-    assign(socket, :user_timezone, validated_timezone)
+    socket
+    |> assign(:user_timezone, validated_timezone)
+    |> assign(:framed, framed)
+  end
+
+  @doc """
+  Assigns the hour cycle from the `hour-cycle` parameter (`"h12"` or `"h23"`)
+  and applies it to time formatting in this process. Without one, times
+  follow the locale's clock.
+  """
+  @spec assign_hour_cycle(Phoenix.LiveView.Socket.t(), map()) :: Phoenix.LiveView.Socket.t()
+  def assign_hour_cycle(socket, params) do
+    :ok = LocalizationHelpers.put_hour_cycle(params["hour-cycle"])
+    assign(socket, :hour_cycle, LocalizationHelpers.hour_cycle())
   end
+
+  defp param_timezone(%{"timezone" => timezone}) when is_binary(timezone) do
+    normalized = TimezoneUtils.normalize_timezone(timezone)
+    if TimezoneUtils.valid_timezone?(normalized), do: normalized
+  end
+
+  defp param_timezone(_params), do: nil
 end
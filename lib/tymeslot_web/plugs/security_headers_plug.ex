@@ -2,12 +2,19 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlug do
   @moduledoc """
   Adds comprehensive security headers to all responses.
   Supports domain whitelisting for embedding via the profile's allowed_embed_domains field.
+
+  A frame the browser refuses to render can't tell embed.js why. So when an
+  iframe request (`Sec-Fetch-Dest: iframe`) is for an unknown username, or
+  comes from a page the allowlist doesn't cover, the plug answers with a bare
+  status page instead. That page may be framed anywhere and only posts a
+  `ready` message with the status, in the envelope embed.js expects.
   """
 
   import Plug.Conn
 
   require Logger
   alias Tymeslot.DatabaseQueries.ProfileQueries
+  alias Tymeslot.Profiles
 
   @spec init(keyword()) :: keyword()
   def init(opts), do: opts
@@ -18,13 +25,21 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlug do
 
     # Determine frame-ancestors based on the profile's allowed domains.
     # CSP frame-ancestors is the primary source of truth for modern browsers.
-    {frame_ancestors, x_frame_options} =
+    {frame_ancestors, x_frame_options, embed_status} =
       if allow_embedding do
         get_embed_security_headers(conn)
       else
-        {"'none'", "DENY"}
+        {"'none'", "DENY", nil}
       end
 
+    if embed_status && iframe_request?(conn) do
+      send_embed_status(conn, embed_status)
+    else
+      put_security_headers(conn, frame_ancestors, x_frame_options)
+    end
+  end
+
+  defp put_security_headers(conn, frame_ancestors, x_frame_options) do
     conn =
       conn
       |> put_resp_header("content-security-policy", csp_header(frame_ancestors))
@@ -44,8 +59,34 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlug do
     end
   end
 
+  defp iframe_request?(conn), do: get_req_header(conn, "sec-fetch-dest") == ["iframe"]
+
+  # Answers a refused iframe request with a page embed.js can hear from
+  defp send_embed_status(conn, status) do
+    code = if status == :not_found, do: 404, else: 403
+
+    conn
+    |> put_security_headers("*", nil)
+    # put_secure_browser_headers may already have set SAMEORIGIN
+    |> delete_resp_header("x-frame-options")
+    |> put_resp_content_type("text/html")
+    |> send_resp(code, """
+    <!DOCTYPE html>
+    <html><head><meta charset="utf-8"><title>Booking page unavailable</title></head>
+    <body><p>This booking page is unavailable here.</p>
+    <script>
+    var channel = /^tymeslot:\\d+:([A-Za-z0-9-]{8,64})$/.exec(window.name);
+    window.parent.postMessage(channel
+      ? {tymeslot: 1, channel: channel[1], type: "ready", payload: {status: "#{status}"}}
+      : {type: "tymeslot-ready", status: "#{status}"}, "*");
+    </script>
+    </body></html>
+    """)
+    |> halt()
+  end
+
   # Extracts username from path and retrieves allowed embed domains
-  # Returns {frame_ancestors, x_frame_options | nil}
+  # Returns {frame_ancestors, x_frame_options | nil, embed_status | nil}
   defp get_embed_security_headers(conn) do
     conn = fetch_query_params(conn)
     is_preview = conn.query_params["preview"] in ["true", "1"]
@@ -56,7 +97,7 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlug do
         # No username in path; default to blocking embedding.
         # (We don't want "allow all embedding" as a fallback.)
         Logger.debug("No username in path, blocking embedding", path: conn.request_path)
-        {"'none'", "DENY"}
+        {"'none'", "DENY", nil}
 
       username ->
         case ProfileQueries.get_by_username(username) do
@@ -76,7 +117,11 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlug do
               )
             end
 
-            {frame_ancestors, x_frame_options}
+            embed_status =
+              if framing_refused?(conn, profile, frame_ancestors),
+                do: :domain_not_allowed
+
+            {frame_ancestors, x_frame_options, embed_status}
 
           {:error, :not_found} ->
             # Profile not found; default to blocking embedding.
@@ -85,11 +130,32 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlug do
               path: conn.request_path
             )
 
-            {"'none'", "DENY"}
+            {"'none'", "DENY", :not_found}
         end
     end
   end
 
+  # Whether the browser will refuse to frame this page for the requesting
+  # site. Without a Referer we can't tell, so the browser gets the last word.
+  defp framing_refused?(_conn, _profile, "'none'"), do: true
+
+  defp framing_refused?(conn, profile, _frame_ancestors) do
+    case referer_host(conn) do
+      nil -> false
+      host when host == conn.host -> false
+      host -> not Profiles.embed_host_allowed?(profile, host)
+    end
+  end
+
+  defp referer_host(conn) do
+    with [referer | _] <- get_req_header(conn, "referer"),
+         %URI{host: host} when is_binary(host) <- URI.parse(referer) do
+      String.downcase(host)
+    else
+      _ -> nil
+    end
+  end
+
   # Extracts username from scheduling paths like /:username or /:username/...
   defp extract_username_from_path(path) do
     # List of reserved paths that can't be usernames
@@ -105,6 +171,7 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlug do
       "healthcheck",
       "robots.txt",
       "favicon.ico",
+      "embed",
       "embed.js"
     ]
 
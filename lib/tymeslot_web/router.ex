@@ -13,6 +13,15 @@ defmodule TymeslotWeb.Router do
     get "/healthcheck", HealthcheckController, :index
   end
 
+  # =============================================================================
+  # Embed Script Builds (early to avoid wildcard username routes)
+  # =============================================================================
+
+  scope "/embed", TymeslotWeb do
+    get "/manifest.json", EmbedScriptController, :manifest
+    get "/:file", EmbedScriptController, :show
+  end
+
   # =============================================================================
   # Webhook Routes
   # =============================================================================
@@ -212,6 +221,14 @@ defmodule TymeslotWeb.Router do
   # =============================================================================
   # API Routes
   # =============================================================================
+
+  scope "/api", TymeslotWeb do
+    pipe_through :api
+
+    post "/embed/events", EmbedEventsController, :create
+    get "/embed/slots/:username/:meeting_type", EmbedSlotsController, :show
+  end
+
   # =============================================================================
   # Catch-all Route
   # =============================================================================
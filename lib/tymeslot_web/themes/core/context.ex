@@ -7,8 +7,24 @@ defmodule TymeslotWeb.Themes.Core.Context do
 
   alias Phoenix.Component
   alias Tymeslot.ThemeCustomizations
+  alias Tymeslot.Utils.ColorUtils
   alias TymeslotWeb.Themes.Core.Registry
 
+  # Light/dark variants a page can be asked for with ?color-scheme=. Not to be
+  # confused with the "color_scheme" customization, which is a color palette.
+  @color_modes ~w(light dark)
+
+  # Page background per color mode, to check inherited text colors against.
+  # Both themes are dark unless asked for the light variant.
+  @mode_backgrounds %{"light" => "#f1f5f9", "dark" => "#0f172a"}
+
+  # WCAG AA: 3:1 for the white labels on accent-colored buttons, 4.5:1 for body text
+  @min_accent_contrast 3.0
+  @min_text_contrast 4.5
+
+  # Family names, unquoted: a stray quote would break the rest of the stylesheet
+  @font_family ~r/^[\p{L}\p{N} ,_-]{1,200}$/u
+
   @type t :: %__MODULE__{
           theme_id: String.t(),
           theme_key: atom(),
@@ -16,7 +32,9 @@ defmodule TymeslotWeb.Themes.Core.Context do
           customizations: map() | nil,
           capabilities: map(),
           metadata: map(),
-          preview_mode: boolean()
+          preview_mode: boolean(),
+          color_mode: String.t() | nil,
+          branding: map()
         }
 
   defstruct theme_id: nil,
@@ -25,7 +43,9 @@ defmodule TymeslotWeb.Themes.Core.Context do
             customizations: nil,
             capabilities: %{},
             metadata: %{},
-            preview_mode: false
+            preview_mode: false,
+            color_mode: nil,
+            branding: %{}
 
   @doc """
   Creates a new theme context from a theme ID and optional profile.
@@ -50,6 +70,10 @@ defmodule TymeslotWeb.Themes.Core.Context do
 
   @doc """
   Creates a theme context from URL params, handling preview mode.
+
+  Embeds can override the primary color (`primary-color`, a hex color) and
+  ask for the light or dark variant (`color-scheme`); invalid values are
+  ignored.
   """
   @spec from_params(map(), map() | nil) :: t() | nil
   def from_params(params, profile \\ nil) do
@@ -63,23 +87,99 @@ defmodule TymeslotWeb.Themes.Core.Context do
     context = new(theme_id, profile, preview: preview_mode)
 
     if context do
-      # Handle primary-color override
-      if primary_color = params["primary-color"] do
-        # Validate hex color format to prevent CSS injection
-        if Regex.match?(~r/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, primary_color) do
-          customizations = Map.put(context.customizations || %{}, "primary_color", primary_color)
-          %{context | customizations: customizations}
-        else
-          context
-        end
-      else
-        context
-      end
+      context
+      |> put_primary_color(params["primary-color"])
+      |> put_color_mode(params["color-scheme"])
     else
       nil
     end
   end
 
+  @doc """
+  Applies branding an embed inherited from its host page (`accent`, `text`
+  and `font`, sent by embed.js with `branding: 'inherit'`).
+
+  Colors must be hex colors and readable where they are used: the accent
+  carries white button labels, the text sits on the theme background and is
+  kept for each color mode it passes in. Values that fail are dropped, so the
+  theme's own colors stay in place.
+  """
+  @spec put_branding(t(), map()) :: t()
+  def put_branding(%__MODULE__{} = context, params) when is_map(params) do
+    accent = params["accent"]
+    text = params["text"]
+    font =
+      if is_binary(params["font"]),
+        do: params["font"] |> String.replace(~r/["']/, "") |> String.trim()
+
+    text_modes =
+      if ColorUtils.hex_color?(text) do
+        for {mode, background} <- @mode_backgrounds,
+            ColorUtils.contrast_ratio(text, background) >= @min_text_contrast,
+            do: mode
+      else
+        []
+      end
+
+    branding =
+      %{}
+      |> maybe_put(
+        "accent",
+        accent,
+        ColorUtils.hex_color?(accent) and
+          ColorUtils.contrast_ratio(accent, "#ffffff") >= @min_accent_contrast
+      )
+      |> maybe_put("text", text, text_modes != [])
+      |> maybe_put("text_modes", text_modes, text_modes != [])
+      |> maybe_put("font", font, is_binary(font) and Regex.match?(@font_family, font))
+
+    %{context | branding: branding}
+  end
+
+  def put_branding(%__MODULE__{} = context, _params), do: context
+
+  @doc """
+  CSS rules for the embed overrides: the `primary-color` param, or else an
+  inherited accent, and the inherited text color and font. Returns an empty
+  string when there are none.
+
+  The rules outrank the theme's own variables, including its light variant,
+  and an inherited text color only applies in the color modes it was checked
+  against, so it stays readable when the host switches schemes live.
+  """
+  @spec override_css(t()) :: String.t()
+  def override_css(%__MODULE__{} = context) do
+    branding = context.branding
+    primary =
+      Enum.find(
+        [(context.customizations || %{})["primary_color"], branding["accent"]],
+        &ColorUtils.hex_color?/1
+      )
+
+    base =
+      [
+        primary && "--theme-primary: #{primary};",
+        primary && "--theme-primary-hover: #{primary};",
+        branding["font"] && "--theme-font-family: #{branding["font"]};"
+      ]
+      |> Enum.reject(&is_nil/1)
+
+    text_rules =
+      for mode <- Map.get(branding, "text_modes", []) do
+        selector =
+          if mode == "light",
+            do: ~s(:root[data-color-scheme="light"]),
+            else: ~s(:root:not([data-color-scheme="light"]))
+
+        "#{selector} { --theme-text: #{branding["text"]}; }"
+      end
+
+    base_rule =
+      if base == [], do: [], else: [":root, :root[data-color-scheme] { #{Enum.join(base, " ")} }"]
+
+    Enum.join(base_rule ++ text_rules, "\n")
+  end
+
   @doc """
   Updates the context with new customizations.
   """
@@ -123,7 +223,8 @@ defmodule TymeslotWeb.Themes.Core.Context do
       theme_key: context.theme_key,
       theme_module: context.module,
       theme_customization: context.customizations,
-      theme_preview: context.preview_mode
+      theme_preview: context.preview_mode,
+      theme_color_mode: context.color_mode
     }
   end
 
@@ -141,6 +242,26 @@ defmodule TymeslotWeb.Themes.Core.Context do
 
   # Private functions
 
+  defp put_primary_color(context, primary_color) when is_binary(primary_color) do
+    # Validate hex color format to prevent CSS injection
+    if ColorUtils.hex_color?(primary_color) do
+      customizations = Map.put(context.customizations || %{}, "primary_color", primary_color)
+      %{context | customizations: customizations}
+    else
+      context
+    end
+  end
+
+  defp put_primary_color(context, _primary_color), do: context
+
+  defp put_color_mode(context, color_mode) when color_mode in @color_modes,
+    do: %{context | color_mode: color_mode}
+
+  defp put_color_mode(context, _color_mode), do: context
+
+  defp maybe_put(map, key, value, true), do: Map.put(map, key, value)
+  defp maybe_put(map, _key, _value, false), do: map
+
   defp ensure_module_loaded(module) do
     case Code.ensure_loaded(module) do
       {:module, ^module} -> {:ok, module}
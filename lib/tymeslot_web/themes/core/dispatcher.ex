@@ -260,10 +260,18 @@ defmodule TymeslotWeb.Themes.Core.Dispatcher do
   defp handle_theme_error(_, _), do: {:error, "Unknown theme error"}
 
   defp render_error(assigns, message) do
-    assigns = assign(assigns, :error_message, message)
+    assigns =
+      assigns
+      |> assign(:error_message, message)
+      |> assign(:embed_status, embed_status(assigns))
 
     ~H"""
-    <div class="min-h-screen bg-gray-100 flex items-center justify-center">
+    <div
+      id="scheduling-error"
+      class="min-h-screen bg-gray-100 flex items-center justify-center"
+      phx-hook="EmbedFrame"
+      data-embed-status={@embed_status}
+    >
       <div class="bg-white p-8 rounded-lg shadow-md max-w-md w-full">
         <div class="text-center">
           <div class="text-red-500 text-6xl mb-4">⚠️</div>
@@ -282,6 +290,10 @@ defmodule TymeslotWeb.Themes.Core.Dispatcher do
     """
   end
 
+  # Readiness status reported to embed.js (see the EmbedFrame hook)
+  defp embed_status(%{scheduling_error_reason: reason}) when not is_nil(reason), do: "deactivated"
+  defp embed_status(_assigns), do: "error"
+
   defp mount_with_profile(profile, params, session, socket) do
     action = socket.assigns[:live_action]
 
@@ -70,7 +70,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.BookingComponent do
 
                   <p
                     class="text-base md:text-lg lg:text-xl mb-4"
-                    style="color: rgba(255,255,255,0.85); line-height: 1.5;"
+                    style="color: rgb(var(--theme-ink) / 0.85); line-height: 1.5;"
                   >
                     <%= if @organizer_profile do %>
                       {gettext("You're booking a %{duration} meeting with %{name}", 
@@ -82,7 +82,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.BookingComponent do
                     <% end %>
                   </p>
 
-                  <p class="text-xs md:text-sm mb-6" style="color: rgba(255,255,255,0.7);">
+                  <p class="text-xs md:text-sm mb-6" style="color: rgb(var(--theme-ink) / 0.7);">
                     {LocalizationHelpers.format_booking_datetime(@selected_date, @selected_time, @user_timezone)}
                   </p>
 
@@ -87,7 +87,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ConfirmationComponent d
 
                       <p
                         class="text-sm sm:text-base md:text-lg mb-3 sm:mb-4"
-                        style="color: rgba(255,255,255,0.9);"
+                        style="color: rgb(var(--theme-ink) / 0.9);"
                       >
                         <%= if @is_rescheduling do %>
                           {gettext("%{name}, your meeting %{organizer} has been rescheduled.", name: @name, organizer: get_organizer_text(@organizer_profile))}
@@ -107,7 +107,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ConfirmationComponent d
 
                         <div
                           class="mt-4 pt-4 border-t"
-                          style="border-color: rgba(255, 255, 255, 0.2);"
+                          style="border-color: rgb(var(--theme-ink) / 0.2);"
                         >
                           <div class="flex items-center gap-2">
                             <div
@@ -150,7 +150,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ConfirmationComponent d
 
                       <p
                         class="mt-4 text-xs text-center lg:text-left"
-                        style="color: rgba(255,255,255,0.7);"
+                        style="color: rgb(var(--theme-ink) / 0.7);"
                       >
                         {gettext("Need to reschedule? Check your confirmation email.")}
                       </p>
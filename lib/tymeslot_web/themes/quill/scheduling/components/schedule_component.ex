@@ -174,7 +174,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
                           {gettext("Select a Date")}
                           <%= if @availability_status == :loading do %>
                             <svg
-                              class="animate-spin h-4 w-4 text-white opacity-60"
+                              class="animate-spin h-4 w-4 text-glass-primary opacity-60"
                               xmlns="http://www.w3.org/2000/svg"
                               fill="none"
                               viewBox="0 0 24 24"
@@ -218,13 +218,13 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
                                 )
                             }
                             class="p-1 md:p-2 rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed phx-click-loading:animate-pulse"
-                            style="background: rgba(255,255,255,0.1); color: white; border: 1px solid rgba(255,255,255,0.3); hover:background: rgba(255,255,255,0.2);"
+                            style="background: rgb(var(--theme-ink) / 0.1); color: rgb(var(--theme-ink)); border: 1px solid rgb(var(--theme-ink) / 0.3); hover:background: rgb(var(--theme-ink) / 0.2);"
                           >
                             ←
                           </button>
                           <div
                             class="text-xs md:text-sm lg:text-base font-semibold px-2 md:px-3"
-                            style="color: white;"
+                            style="color: rgb(var(--theme-ink));"
                           >
                             {LocalizationHelpers.get_month_year_display(@current_year, @current_month)}
                           </div>
@@ -240,7 +240,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
                                 )
                             }
                             class="p-1 md:p-2 rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed phx-click-loading:animate-pulse"
-                            style="background: rgba(255,255,255,0.1); color: white; border: 1px solid rgba(255,255,255,0.3); hover:background: rgba(255,255,255,0.2);"
+                            style="background: rgb(var(--theme-ink) / 0.1); color: rgb(var(--theme-ink)); border: 1px solid rgb(var(--theme-ink) / 0.3); hover:background: rgb(var(--theme-ink) / 0.2);"
                           >
                             →
                           </button>
@@ -251,7 +251,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
                           <div
                             :for={day <- [gettext("Sun"), gettext("Mon"), gettext("Tue"), gettext("Wed"), gettext("Thu"), gettext("Fri"), gettext("Sat")]}
                             class="text-xs font-medium"
-                            style="color: rgba(255,255,255,0.8);"
+                            style="color: rgb(var(--theme-ink) / 0.8);"
                           >
                             {String.slice(day, 0, 3)}
                           </div>
@@ -346,7 +346,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
   defp timezone_selector(assigns) do
     ~H"""
     <div class="relative w-full md:w-auto md:max-w-xs lg:max-w-sm" data-locale={@locale}>
-      <label class="text-sm font-medium block mb-2" style="color: rgba(255,255,255,0.9);">
+      <label class="text-sm font-medium block mb-2" style="color: rgb(var(--theme-ink) / 0.9);">
         <div class="flex items-center gap-2">
           <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path
@@ -369,8 +369,8 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
       >
         <div
           class="px-4 py-3 rounded-xl transition-all duration-200 ease-out hover:scale-[1.01] hover:shadow-lg"
-          style="background: linear-gradient(135deg, rgba(255,255,255,0.15) 0%, rgba(255,255,255,0.05) 100%);
-                 border: 1px solid rgba(255,255,255,0.2);
+          style="background: linear-gradient(135deg, rgb(var(--theme-ink) / 0.15) 0%, rgb(var(--theme-ink) / 0.05) 100%);
+                 border: 1px solid rgb(var(--theme-ink) / 0.2);
                  backdrop-filter: blur(20px);"
         >
           <div class="flex items-center justify-between">
@@ -381,10 +381,10 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
                 fallback_icon="🌐"
               />
               <div class="flex-1 min-w-0">
-                <div class="text-sm font-medium text-white truncate">
+                <div class="text-sm font-medium text-glass-primary truncate">
                   {TimezoneUtils.format_timezone(@user_timezone)}
                 </div>
-                <div class="text-xs mt-1" style="color: rgba(255,255,255,0.7);">
+                <div class="text-xs mt-1" style="color: rgb(var(--theme-ink) / 0.7);">
                   {get_current_time_display(@user_timezone)}
                 </div>
               </div>
@@ -392,7 +392,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
             <div class="flex items-center gap-2 ml-3">
               <div
                 class="text-sm px-3 py-1.5 rounded-full font-medium"
-                style="background: rgba(255,255,255,0.15); color: rgba(255,255,255,0.9);"
+                style="background: rgb(var(--theme-ink) / 0.15); color: rgb(var(--theme-ink) / 0.9);"
               >
                 {get_timezone_offset(@user_timezone)}
               </div>
@@ -400,7 +400,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
                 class={"w-4 h-4 transition-transform duration-200 #{if @timezone_dropdown_open, do: "rotate-180", else: "rotate-0"}"}
                 fill="none"
                 stroke="currentColor"
-                style="color: rgba(255,255,255,0.7);"
+                style="color: rgb(var(--theme-ink) / 0.7);"
                 viewBox="0 0 24 24"
               >
                 <path
@@ -422,10 +422,10 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
           class="absolute top-full left-0 right-0 md:left-auto md:right-0 w-full md:min-w-[16rem] md:max-w-sm mt-1 max-h-64 md:max-h-72 z-[9999] rounded-xl shadow-2xl border overflow-hidden"
           style="background: linear-gradient(135deg, rgba(45,25,70,0.9) 0%, rgba(30,15,50,0.85) 100%);
                  backdrop-filter: blur(20px);
-                 border: 1px solid rgba(255,255,255,0.3);"
+                 border: 1px solid rgb(var(--theme-ink) / 0.3);"
         >
           <!-- Search input fixed at top of dropdown -->
-          <div class="p-3" style="border-bottom: 1px solid rgba(255,255,255,0.2);">
+          <div class="p-3" style="border-bottom: 1px solid rgb(var(--theme-ink) / 0.2);">
             <div class="relative">
               <input
                 id="timezone-search"
@@ -469,20 +469,20 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
                   phx-value-timezone={value}
                   phx-target={@target}
                   class="w-full text-left px-3 py-2.5 text-sm rounded-lg flex justify-between items-center cursor-pointer transition-all duration-150 group"
-                  style="color: rgba(255,255,255,0.95);
-                         hover:background: rgba(255,255,255,0.2);"
-                  onmouseover="this.style.background='rgba(255,255,255,0.15)'"
+                  style="color: rgb(var(--theme-ink) / 0.95);
+                         hover:background: rgb(var(--theme-ink) / 0.2);"
+                  onmouseover="this.style.background='rgb(var(--theme-ink) / 0.15)'"
                   onmouseout="this.style.background='transparent'"
                 >
                   <div class="flex-1 min-w-0">
                     <div class="font-medium truncate">{label}</div>
-                    <div class="text-xs mt-0.5" style="color: rgba(255,255,255,0.7);">
+                    <div class="text-xs mt-0.5" style="color: rgb(var(--theme-ink) / 0.7);">
                       {get_timezone_local_time(value)}
                     </div>
                   </div>
                   <div
                     class="text-sm font-medium px-2.5 py-1 rounded-full transition-colors duration-150"
-                    style="background: rgba(255,255,255,0.1); color: rgba(255,255,255,0.9);"
+                    style="background: rgb(var(--theme-ink) / 0.1); color: rgb(var(--theme-ink) / 0.9);"
                   >
                     {offset}
                   </div>
@@ -508,7 +508,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
           <%= if @loading_slots do %>
             <div class="h-full flex items-center justify-center">
               <.spinner />
-              <span class="ml-3 text-white">{gettext("Loading available times...")}</span>
+              <span class="ml-3 text-glass-primary">{gettext("Loading available times...")}</span>
             </div>
           <% else %>
             <%= if @calendar_error do %>
@@ -523,7 +523,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
                     <div>
                       <div
                         class="text-xs font-semibold mb-2 px-1"
-                        style="color: rgba(255,255,255,0.8);"
+                        style="color: rgb(var(--theme-ink) / 0.8);"
                       >
                         {period}
                       </div>
@@ -564,7 +564,7 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Components.ScheduleComponent do
           <% end %>
         <% else %>
           <div class="h-full flex items-center justify-center">
-            <p class="text-sm" style="color: rgba(255,255,255,0.7);">
+            <p class="text-sm" style="color: rgb(var(--theme-ink) / 0.7);">
               {gettext("Please select a date to see available times")}
             </p>
           </div>
@@ -125,6 +125,30 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Live do
     EventHandlers.handle_change_locale(socket, locale, PathHandlers)
   end
 
+  # Booker details sent by embed.js through the EmbedFrame hook
+  @impl true
+  def handle_event("embed_prefill", params, socket) do
+    BookingFlow.handle_embed_prefill(socket, params)
+  end
+
+  # Campaign attribution sent by embed.js through the EmbedFrame hook
+  @impl true
+  def handle_event("embed_attribution", params, socket) do
+    BookingFlow.handle_embed_attribution(socket, params)
+  end
+
+  # Host page colors and font sent by embed.js through the EmbedFrame hook
+  @impl true
+  def handle_event("embed_branding", params, socket) do
+    BookingFlow.handle_embed_branding(socket, params)
+  end
+
+  # Post-booking redirect override sent by embed.js through the EmbedFrame hook
+  @impl true
+  def handle_event("embed_redirect", params, socket) do
+    BookingFlow.handle_embed_redirect(socket, params)
+  end
+
   # Handle step navigation from header
   @impl true
   def handle_event("navigate_to_step", %{"step" => step}, socket) do
@@ -306,9 +330,12 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Live do
   end
 
   defp transition_to(socket, new_state, _params) do
+    previous_state = socket.assigns[:current_state]
+
     socket
     |> assign(:current_state, new_state)
     |> handle_state_entry(new_state, %{})
+    |> StateMachine.emit_transition_event(previous_state, new_state)
   end
 
   defp validate_state_transition(socket, current_state, next_state) do
@@ -378,11 +405,13 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Live do
     ~H"""
     <QuillThemeWrapper.quill_wrapper
       custom_css={assigns[:custom_css]}
+      theme_context={assigns[:theme_context]}
       theme_customization={assigns[:theme_customization]}
       locale={assigns[:locale]}
       language_dropdown_open={assigns[:language_dropdown_open]}
       organizer_user_id={@organizer_user_id}
       should_show_branding={assigns[:should_show_branding]}
+      current_state={assigns[:current_state]}
     >
       <%= if assigns[:scheduling_error_message] do %>
         <.live_component
@@ -23,9 +23,16 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Wrapper do
       assigns
       |> assign(:has_video_background, has_video_background)
       |> assign(:video_poster, get_background_video_poster(assigns[:theme_customization]))
+      |> assign(:override_css, embed_override_css(assigns[:theme_context]))
 
     ~H"""
-    <div class="quill-theme-wrapper theme-1" data-locale={assigns[:locale]}>
+    <div
+      id="quill-theme-wrapper"
+      class="quill-theme-wrapper theme-1"
+      data-locale={assigns[:locale]}
+      data-step={assigns[:current_state]}
+      phx-hook="EmbedFrame"
+    >
       <!-- Render custom CSS if available -->
       <%= if assigns[:custom_css] && assigns[:custom_css] != "" do %>
         <style type="text/css">
@@ -46,6 +53,13 @@ defmodule TymeslotWeb.Themes.Quill.Scheduling.Wrapper do
         <% end %>
       <% end %>
 
+      <!-- Embed overrides: primary-color param and branding inherited from the host page -->
+      <%= if @override_css != "" do %>
+        <style type="text/css">
+          <%= Phoenix.HTML.raw(@override_css) %>
+        </style>
+      <% end %>
+
     <!-- Render background video if configured -->
       <%= if @has_video_background do %>
         <div class="video-background" id="quill-video-container" phx-hook="QuillVideo">
@@ -18,4 +18,9 @@ defmodule TymeslotWeb.Themes.Rhythm.Scheduling.StateMachine do
           :ok | {:error, String.t()}
   def validate_state_transition(socket, current_state, next_state),
     do: StateMachineHelpers.validate_state_transition(socket, current_state, next_state)
+
+  @spec emit_transition_event(Phoenix.LiveView.Socket.t(), atom() | nil, atom()) ::
+          Phoenix.LiveView.Socket.t()
+  def emit_transition_event(socket, current_state, next_state),
+    do: StateMachineHelpers.emit_transition_event(socket, current_state, next_state)
 end
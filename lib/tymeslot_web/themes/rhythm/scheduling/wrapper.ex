@@ -22,9 +22,16 @@ defmodule TymeslotWeb.Themes.Rhythm.Scheduling.Wrapper do
       assigns
       |> assign(:has_video_background, has_video_background)
       |> assign(:video_poster, get_background_video_poster(assigns[:theme_customization]))
+      |> assign(:override_css, embed_override_css(assigns[:theme_context]))
 
     ~H"""
-    <div class="rhythm-theme-wrapper theme-2" data-locale={assigns[:locale]}>
+    <div
+      id="rhythm-theme-wrapper"
+      class="rhythm-theme-wrapper theme-2"
+      data-locale={assigns[:locale]}
+      data-step={assigns[:current_state]}
+      phx-hook="EmbedFrame"
+    >
       <!-- Render custom CSS if available -->
       <%= if assigns[:custom_css] && assigns[:custom_css] != "" do %>
         <style type="text/css">
@@ -34,6 +41,13 @@ defmodule TymeslotWeb.Themes.Rhythm.Scheduling.Wrapper do
         </style>
       <% end %>
 
+      <!-- Embed overrides: primary-color param and branding inherited from the host page -->
+      <%= if @override_css != "" do %>
+        <style type="text/css">
+          <%= Phoenix.HTML.raw(@override_css) %>
+        </style>
+      <% end %>
+
     <!-- Render background based on type -->
       <%= cond do %>
         <% @has_video_background -> %>
@@ -6,9 +6,13 @@ defmodule TymeslotWeb.Themes.Shared.BookingFlow do
   import Phoenix.Component, only: [assign: 3]
 
   alias Phoenix.Component
+  alias Phoenix.HTML.Form
+  alias Tymeslot.Bookings.Attribution
   alias Tymeslot.Security.FormValidation
   alias TymeslotWeb.Live.Scheduling.Handlers.BookingSubmissionHandlerComponent
   alias TymeslotWeb.Live.Scheduling.Helpers
+  alias TymeslotWeb.Themes.Core.Context
+  alias TymeslotWeb.Themes.Shared.{EmbedEvents, EmbedRedirect}
 
   require Logger
 
@@ -23,25 +27,140 @@ defmodule TymeslotWeb.Themes.Shared.BookingFlow do
   @spec submit_booking(Phoenix.LiveView.Socket.t(), map(), transition_fun()) ::
           {:noreply, Phoenix.LiveView.Socket.t()}
   def submit_booking(socket, booking_params, transition_fun) do
+    socket = EmbedEvents.push(socket, "booking:submitted")
+
     case BookingSubmissionHandlerComponent.submit_booking(socket, booking_params) do
       {:ok, socket} ->
-        # On success, transition to confirmation
-        {:noreply, transition_fun.(socket, :confirmation, %{})}
+        # On success, transition to confirmation, then hand an embedding
+        # host page the redirect to its own page, if one is set up
+        socket =
+          socket
+          |> transition_fun.(:confirmation, %{})
+          |> EmbedRedirect.push()
+
+        {:noreply, socket}
 
       {:error, socket} ->
         {:noreply, socket}
     end
   end
 
-  @spec handle_form_validation(Phoenix.LiveView.Socket.t(), map()) ::
+  @doc """
+  Stores booker details sent by the host page through `embed.js`.
+
+  Accepts `name`, `email` and `notes` (mapped to the booking message); any
+  other keys are ignored. Values are sanitized here and applied to the form
+  when the booking step is entered, or right away if it is already shown.
+  """
+  @spec handle_embed_prefill(Phoenix.LiveView.Socket.t(), map()) ::
+          {:noreply, Phoenix.LiveView.Socket.t()}
+  def handle_embed_prefill(socket, params) when is_map(params) do
+    socket = assign(socket, :embed_prefill, normalize_prefill(params))
+
+    if socket.assigns[:current_state] == :booking do
+      {:noreply, apply_prefill(socket)}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_embed_prefill(socket, _params), do: {:noreply, socket}
+
+  @doc """
+  Stores campaign attribution (utm_* params, host page URL, referrer) sent by
+  `embed.js`, to be saved with the booking.
+  """
+  @spec handle_embed_attribution(Phoenix.LiveView.Socket.t(), map()) ::
+          {:noreply, Phoenix.LiveView.Socket.t()}
+  def handle_embed_attribution(socket, params) do
+    {:noreply, assign(socket, :embed_attribution, Attribution.normalize(params))}
+  end
+
+  @doc """
+  Applies colors and font the host page of an embed lends the booking page
+  (`branding: 'inherit'` in `embed.js`). `Context.put_branding/2` validates
+  them; the theme wrapper renders the result.
+  """
+  @spec handle_embed_branding(Phoenix.LiveView.Socket.t(), map()) ::
+          {:noreply, Phoenix.LiveView.Socket.t()}
+  def handle_embed_branding(socket, params) when is_map(params) do
+    case socket.assigns[:theme_context] do
+      %Context{} = context ->
+        {:noreply, Context.assign_to_socket(socket, Context.put_branding(context, params))}
+
+      _ ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_embed_branding(socket, _params), do: {:noreply, socket}
+
+  @doc """
+  Stores the page an embed sends the visitor to after booking
+  (`onConfirmedRedirect` in `embed.js`), overriding the meeting type's own.
+  See `EmbedRedirect` for how the target is checked.
+  """
+  @spec handle_embed_redirect(Phoenix.LiveView.Socket.t(), map()) ::
+          {:noreply, Phoenix.LiveView.Socket.t()}
+  def handle_embed_redirect(socket, params) do
+    {:noreply, EmbedRedirect.put_override(socket, params)}
+  end
+
+  @doc """
+  Pre-populates the booking form with stored embed prefill values.
+
+  Fields that already hold a value (rescheduling data or user input) are kept.
+  Prefilled values are validated like user input, so an invalid prefilled
+  email is flagged straight away instead of on submit.
+  """
+  @spec apply_prefill(Phoenix.LiveView.Socket.t()) :: Phoenix.LiveView.Socket.t()
+  def apply_prefill(socket) do
+    case socket.assigns[:embed_prefill] do
+      prefill when is_map(prefill) and map_size(prefill) > 0 ->
+        current_params = current_form_params(socket)
+
+        params =
+          Map.merge(prefill, current_params, fn _field, prefilled, current ->
+            if blank?(current), do: prefilled, else: current
+          end)
+
+        prefilled_fields =
+          for {field, value} <- prefill, blank?(current_params[field]), do: field
+
+        {:noreply, socket} =
+          handle_form_validation(socket, params, show_errors_for: prefilled_fields)
+
+        socket
+
+      _ ->
+        socket
+    end
+  end
+
+  @doc """
+  Validates booking form params and assigns the sanitized form.
+
+  Errors are only shown once the user has interacted with the form. Pass
+  `show_errors_for: ["email", ...]` to surface errors for specific fields
+  before that, as done for prefilled values.
+  """
+  @spec handle_form_validation(Phoenix.LiveView.Socket.t(), map(), keyword()) ::
           {:noreply, Phoenix.LiveView.Socket.t()}
-  def handle_form_validation(socket, booking_params) do
+  def handle_form_validation(socket, booking_params, opts \\ []) do
     # Track whether the user has interacted with the form to avoid showing
     # validation errors on initial render or prefilled data.
     form_touched =
       socket.assigns[:form_touched] ||
         Map.has_key?(booking_params, "_target")
 
+    # The booker's first edit, not a prefill, starts the form
+    socket =
+      if form_touched and !socket.assigns[:form_touched],
+        do: EmbedEvents.push(socket, "form:started"),
+        else: socket
+
+    show_errors_for = Keyword.get(opts, :show_errors_for, [])
+
     case FormValidation.validate_booking_form(booking_params) do
       {:ok, sanitized_params} ->
         form = Component.to_form(sanitized_params)
@@ -63,14 +182,24 @@ defmodule TymeslotWeb.Themes.Shared.BookingFlow do
         # Only assign validation errors if the form has been touched.
         # This prevents showing errors immediately when the booking step loads.
         socket =
-          if form_touched do
-            socket
-            |> assign(:form, form)
-            |> Helpers.assign_form_errors(errors)
-          else
-            socket
-            |> assign(:form, form)
-            |> assign(:validation_errors, [])
+          cond do
+            form_touched ->
+              socket
+              |> assign(:form, form)
+              |> Helpers.assign_form_errors(errors)
+
+            show_errors_for != [] ->
+              visible_errors =
+                Enum.filter(errors, fn {field, _} -> to_string(field) in show_errors_for end)
+
+              socket
+              |> assign(:form, form)
+              |> Helpers.assign_form_errors(visible_errors)
+
+            true ->
+              socket
+              |> assign(:form, form)
+              |> assign(:validation_errors, [])
           end
 
         socket = assign(socket, :form_touched, form_touched)
@@ -78,4 +207,27 @@ defmodule TymeslotWeb.Themes.Shared.BookingFlow do
         {:noreply, socket}
     end
   end
+
+  defp normalize_prefill(params) do
+    prefill =
+      %{"name" => params["name"], "email" => params["email"], "message" => params["notes"]}
+      |> Enum.filter(fn {_field, value} -> is_binary(value) end)
+      |> Map.new()
+
+    {:ok, sanitized} = FormValidation.sanitize_booking_params(prefill)
+
+    sanitized
+    |> Map.take(Map.keys(prefill))
+    |> Enum.reject(fn {_field, value} -> blank?(value) end)
+    |> Map.new()
+  end
+
+  defp current_form_params(socket) do
+    case socket.assigns[:form] do
+      %Form{params: params} when is_map(params) -> params
+      _ -> %{}
+    end
+  end
+
+  defp blank?(value), do: not is_binary(value) or String.trim(value) == ""
 end
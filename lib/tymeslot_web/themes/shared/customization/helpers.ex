@@ -10,6 +10,7 @@ defmodule TymeslotWeb.Themes.Shared.Customization.Helpers do
   alias Tymeslot.ThemeCustomizations.Capability
   alias Tymeslot.ThemeCustomizations.Defaults
   alias Tymeslot.ThemeCustomizations.Validation
+  alias TymeslotWeb.Themes.Core.Context
 
   @doc """
   Assigns theme customization data to a socket for a specific theme.
@@ -37,6 +38,14 @@ defmodule TymeslotWeb.Themes.Shared.Customization.Helpers do
     |> assign(:customization_options, Capability.get_customization_options(theme_id))
   end
 
+  @doc """
+  CSS rules for the embed overrides held by a theme context (see
+  `Context.override_css/1`), or an empty string without a context.
+  """
+  @spec embed_override_css(Context.t() | nil) :: String.t()
+  def embed_override_css(%Context{} = context), do: Context.override_css(context)
+  def embed_override_css(_context), do: ""
+
   @doc """
   Renders a style tag with custom CSS.
   """
@@ -0,0 +1,102 @@
+defmodule TymeslotWeb.Themes.Shared.EmbedEvents do
+  @moduledoc """
+  Lifecycle events sent from the scheduling flow to pages embedding it.
+
+  Events are pushed to the `EmbedFrame` hook, which forwards them to the host
+  page with `postMessage` only when the booking page is framed, pinned to the
+  parent's origin. `embed.js` turns them into `TymeslotBooking.on/2`
+  callbacks and DOM events on the embed container.
+
+  Payloads describe the booking (meeting type, start time, duration) and carry
+  no personal data. Booker details are added to `booking:confirmed` only when
+  the organizer enabled `embed_share_booker_details` on their profile.
+  """
+
+  import Phoenix.LiveView, only: [push_event: 3]
+
+  alias Tymeslot.Availability.TimeSlots
+  alias Tymeslot.Bookings.Validation
+
+  @client_event "embed:lifecycle"
+
+  @events ~w(meeting_type:selected slot:selected form:started booking:submitted booking:confirmed)
+
+  @doc """
+  Returns the lifecycle event names hosts can subscribe to.
+  """
+  @spec events() :: [String.t()]
+  def events, do: @events
+
+  @doc """
+  Pushes a lifecycle event for the current scheduling state to the client.
+  """
+  @spec push(Phoenix.LiveView.Socket.t(), String.t()) :: Phoenix.LiveView.Socket.t()
+  def push(socket, event) when event in @events do
+    push_event(socket, @client_event, %{event: event, payload: payload(socket.assigns, event)})
+  end
+
+  @doc """
+  Builds the event payload from scheduling assigns.
+  """
+  @spec payload(map(), String.t()) :: map()
+  def payload(assigns, event) do
+    duration = duration_minutes(assigns)
+
+    base = %{
+      meeting_type: meeting_type_payload(assigns[:meeting_type]),
+      duration: duration,
+      start_time: start_time(assigns, duration),
+      timezone: assigns[:user_timezone]
+    }
+
+    if event == "booking:confirmed" and share_booker_details?(assigns) do
+      Map.put(base, :booker, %{
+        name: assigns[:name],
+        email: assigns[:email],
+        meeting_uid: assigns[:meeting_uid]
+      })
+    else
+      base
+    end
+  end
+
+  defp share_booker_details?(assigns) do
+    match?(%{embed_share_booker_details: true}, assigns[:organizer_profile])
+  end
+
+  defp meeting_type_payload(%{id: id, name: name, duration_minutes: duration}) do
+    %{id: id, name: name, duration: duration}
+  end
+
+  defp meeting_type_payload(_), do: nil
+
+  defp duration_minutes(assigns) do
+    case assigns[:meeting_type] do
+      %{duration_minutes: minutes} when is_integer(minutes) ->
+        minutes
+
+      _ ->
+        case assigns[:duration] || assigns[:selected_duration] do
+          nil -> nil
+          duration -> TimeSlots.parse_duration(duration)
+        end
+    end
+  end
+
+  defp start_time(_assigns, nil), do: nil
+
+  defp start_time(assigns, duration) do
+    with date when is_binary(date) <- date_string(assigns[:selected_date]),
+         time when is_binary(time) <- assigns[:selected_time],
+         timezone when is_binary(timezone) <- assigns[:user_timezone],
+         {:ok, {start_datetime, _end}} <-
+           Validation.parse_meeting_times(date, time, duration, timezone) do
+      DateTime.to_iso8601(start_datetime)
+    else
+      _ -> nil
+    end
+  end
+
+  defp date_string(%Date{} = date), do: Date.to_iso8601(date)
+  defp date_string(date), do: date
+end
@@ -0,0 +1,109 @@
+defmodule TymeslotWeb.Themes.Shared.EmbedRedirect do
+  @moduledoc """
+  Sends the visitor of an embedded booking page on to a page of the host
+  site once their booking is confirmed.
+
+  The target is the `onConfirmedRedirect` option `embed.js` passed in, else
+  the meeting type's "redirect after booking" URL. It must be an http(s) URL
+  on a host of the profile's embed domain allowlist; anything else is
+  dropped. When details are requested, the booking reference (`booking`),
+  `start_time` (ISO 8601) and `meeting_type` slug are added to its query.
+
+  The URL is pushed to the `EmbedFrame` hook, which hands it to `embed.js`
+  to navigate the top window. Booking pages that aren't framed ignore it.
+  """
+
+  import Phoenix.Component, only: [assign: 3]
+  import Phoenix.LiveView, only: [push_event: 3]
+
+  alias Tymeslot.MeetingTypes
+  alias Tymeslot.Profiles
+  alias Tymeslot.Security.UrlValidation
+  alias TymeslotWeb.Themes.Shared.EmbedEvents
+
+  @client_event "embed:redirect"
+
+  @doc """
+  Stores the host page's `onConfirmedRedirect` option: `%{"url" => url}`,
+  optionally with `"withDetails" => true`, `%{"url" => false}` to turn off
+  the meeting type's own redirect, or `%{"url" => nil}` to drop an earlier
+  override. The URL is checked when it is used.
+  """
+  @spec put_override(Phoenix.LiveView.Socket.t(), map()) :: Phoenix.LiveView.Socket.t()
+  def put_override(socket, %{"url" => false}), do: assign(socket, :embed_redirect, :none)
+  def put_override(socket, %{"url" => nil}), do: assign(socket, :embed_redirect, nil)
+
+  def put_override(socket, %{"url" => url} = params) when is_binary(url) do
+    assign(socket, :embed_redirect, %{url: url, with_details: params["withDetails"] == true})
+  end
+
+  def put_override(socket, _params), do: socket
+
+  @doc """
+  Pushes the redirect for a confirmed booking to the client, if there is one.
+  """
+  @spec push(Phoenix.LiveView.Socket.t()) :: Phoenix.LiveView.Socket.t()
+  def push(socket) do
+    case target(socket.assigns) do
+      nil -> socket
+      url -> push_event(socket, @client_event, %{url: url})
+    end
+  end
+
+  @doc """
+  Returns the URL to send the visitor to after booking, or nil.
+  """
+  @spec target(map()) :: String.t() | nil
+  def target(assigns) do
+    with {url, with_details} <- configured(assigns),
+         {:ok, uri} <- allowed_uri(url, assigns[:organizer_profile]) do
+      uri
+      |> maybe_add_details(with_details, assigns)
+      |> URI.to_string()
+    else
+      _ -> nil
+    end
+  end
+
+  defp configured(%{embed_redirect: :none}), do: nil
+  defp configured(%{embed_redirect: %{url: url, with_details: details}}), do: {url, details}
+
+  defp configured(%{
+         meeting_type: %{confirmation_redirect_url: url, redirect_with_details: details}
+       })
+       when is_binary(url) and url != "",
+       do: {url, details}
+
+  defp configured(_assigns), do: nil
+
+  defp allowed_uri(url, profile) do
+    with :ok <- UrlValidation.validate_http_url(url),
+         %URI{host: host} = uri <- URI.parse(url),
+         true <- Profiles.embed_host_allowed?(profile, host) do
+      {:ok, uri}
+    else
+      _ -> :error
+    end
+  end
+
+  defp maybe_add_details(uri, true, assigns) do
+    details =
+      Enum.reject(
+        [
+          {"booking", assigns[:meeting_uid]},
+          {"start_time", EmbedEvents.payload(assigns, "booking:submitted").start_time},
+          {"meeting_type", meeting_type_slug(assigns[:meeting_type])}
+        ],
+        fn {_key, value} -> is_nil(value) end
+      )
+
+    if details == [], do: uri, else: URI.append_query(uri, URI.encode_query(details))
+  end
+
+  defp maybe_add_details(uri, _with_details, _assigns), do: uri
+
+  defp meeting_type_slug(%{name: name} = meeting_type) when is_binary(name),
+    do: MeetingTypes.to_slug(meeting_type)
+
+  defp meeting_type_slug(_meeting_type), do: nil
+end
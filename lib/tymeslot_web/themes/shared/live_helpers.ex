@@ -3,6 +3,8 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
   Shared LiveView helpers for scheduling themes.
   """
 
+  use Gettext, backend: TymeslotWeb.Gettext
+
   import Phoenix.Component, only: [assign: 3]
   import Phoenix.LiveView, only: [put_flash: 3, redirect: 2]
 
@@ -10,11 +12,16 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
   alias Tymeslot.MeetingTypes
   alias Tymeslot.Profiles
   alias Tymeslot.Scheduling.ThemeFlow
+  alias Tymeslot.Utils.DateTimeUtils
   alias TymeslotWeb.Helpers.ClientIP
   alias TymeslotWeb.Live.Scheduling.Handlers.SlotFetchingHandlerComponent
   alias TymeslotWeb.Live.Scheduling.{Helpers, ThemeUtils}
+  alias TymeslotWeb.Themes.Shared.{BookingFlow, StateMachineHelpers}
   alias TymeslotWeb.Themes.Shared.Customization.Helpers, as: CustomizationHelpers
 
+  # Query parameters embed.js sets on the booking page URL
+  @embed_query_params ~w(theme locale primary-color color-scheme timezone hour-cycle)
+
   @doc """
   Shared mounting logic for scheduling themes.
   """
@@ -36,6 +43,7 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
       socket
       |> assign_initial_state_fun.()
       |> ThemeUtils.assign_user_timezone(params)
+      |> ThemeUtils.assign_hour_cycle(params)
       |> ThemeUtils.assign_theme_with_preview(params)
 
     # Then handle username context (which sets meeting_types)
@@ -133,8 +141,8 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
     socket
     |> maybe_assign_from_params(:duration, normalize_duration_param(params))
     |> maybe_assign_from_params(:selected_duration, normalize_duration_param(params))
-    |> maybe_assign_from_params(:selected_date, params["date"])
-    |> maybe_assign_from_params(:selected_time, params["time"])
+    |> maybe_assign_from_params(:selected_date, valid_date_param(params["date"]))
+    |> maybe_assign_from_params(:selected_time, valid_time_param(params["time"]))
     |> maybe_assign_from_params(:reschedule_meeting_uid, params["reschedule_meeting_uid"])
     |> assign(:is_rescheduling, params["reschedule_meeting_uid"] != nil)
     |> handle_confirmation_params(params)
@@ -158,6 +166,28 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
     end
   end
 
+  # Deep links (e.g. an embed's `data-date`) must not put arbitrary strings
+  # into the calendar state.
+  defp valid_date_param(date) when is_binary(date) do
+    case Date.from_iso8601(date) do
+      {:ok, _date} -> date
+      _ -> nil
+    end
+  end
+
+  defp valid_date_param(_date), do: nil
+
+  # Deep-linked times (an embed's slots widget) are normalized to the slot
+  # format ("9:00 AM") so they match the loaded slots
+  defp valid_time_param(time) when is_binary(time) do
+    case DateTimeUtils.parse_time_string(time) do
+      {:ok, parsed} -> DateTimeUtils.format_time_for_display(parsed)
+      _ -> nil
+    end
+  end
+
+  defp valid_time_param(_time), do: nil
+
   defp maybe_assign_from_params(socket, _key, nil), do: socket
   defp maybe_assign_from_params(socket, key, value), do: assign(socket, key, value)
 
@@ -180,6 +210,7 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
       socket
       |> assign(:current_state, initial_state)
       |> entry_handler.(initial_state, params)
+      |> StateMachineHelpers.emit_entry_event(initial_state)
     else
       socket
     end
@@ -198,9 +229,14 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
          {:meeting_type, nil} <-
            {:meeting_type,
             ThemeFlow.resolve_meeting_type_for_slug(socket.assigns[:organizer_user_id], slug)} do
+      # Missing or disabled meeting type (stale link or embed deep link):
+      # fall back to the overview, keeping the embed's query parameters.
       socket
-      |> put_flash(:error, "Invalid meeting type")
-      |> redirect(to: "/#{socket.assigns[:username_context]}")
+      |> put_flash(
+        :error,
+        gettext("This meeting type is no longer available. Please choose one of the options below.")
+      )
+      |> redirect(to: overview_path(socket.assigns[:username_context], params))
     else
       {:meeting_type, meeting_type} ->
         socket
@@ -212,14 +248,28 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
     end
   end
 
+  defp overview_path(username, params) do
+    case params |> Map.take(@embed_query_params) |> URI.encode_query() do
+      "" -> "/#{username}"
+      query -> "/#{username}?#{query}"
+    end
+  end
+
   defp do_handle_schedule_entry(socket, params) do
     # Set up calendar
     timezone = socket.assigns[:user_timezone] || Profiles.get_default_timezone()
 
+    # Open the calendar on a preselected (deep-linked) date's month
     {current_year, current_month} =
-      case DateTime.now(timezone) do
-        {:ok, dt} -> {dt.year, dt.month}
-        _ -> {Date.utc_today().year, Date.utc_today().month}
+      with date when is_binary(date) <- socket.assigns[:selected_date],
+           {:ok, date} <- Date.from_iso8601(date) do
+        {date.year, date.month}
+      else
+        _ ->
+          case DateTime.now(timezone) do
+            {:ok, dt} -> {dt.year, dt.month}
+            _ -> {Date.utc_today().year, Date.utc_today().month}
+          end
       end
 
     normalized_duration =
@@ -257,5 +307,6 @@ defmodule TymeslotWeb.Themes.Shared.LiveHelpers do
     |> assign(:client_ip, client_ip)
     |> assign(:submission_token, submission_token)
     |> assign(:submission_processed, false)
+    |> BookingFlow.apply_prefill()
   end
 end
@@ -7,6 +7,9 @@ defmodule TymeslotWeb.Themes.Shared.LocalizationHelpers do
   alias Calendar
   alias Tymeslot.Utils.DateTimeUtils
 
+  @hour_cycles ["h12", "h23"]
+  @hour_cycle_key {__MODULE__, :hour_cycle}
+
   @doc """
   Groups time slots by period of day with translated period names.
   """
@@ -177,16 +180,44 @@ defmodule TymeslotWeb.Themes.Shared.LocalizationHelpers do
   end
 
   @doc """
-  Formats time based on the current locale's preferred format (24h/12h).
+  Formats time based on the current locale's preferred format (24h/12h),
+  unless the process has an hour cycle set with `put_hour_cycle/1`.
   """
   @spec format_time_by_locale(DateTime.t()) :: String.t()
   def format_time_by_locale(dt) do
-    case gettext("time_format_type") do
-      "12h" -> Calendar.strftime(dt, "%-I:%M %p")
-      _ -> Calendar.strftime(dt, "%H:%M")
-    end
+    twelve_hour =
+      case hour_cycle() do
+        nil -> gettext("time_format_type") == "12h"
+        cycle -> cycle == "h12"
+      end
+
+    if twelve_hour,
+      do: Calendar.strftime(dt, "%-I:%M %p"),
+      else: Calendar.strftime(dt, "%H:%M")
+  end
+
+  @doc """
+  Sets the hour cycle (`"h12"` or `"h23"`) times are formatted with in the
+  current process, overriding the locale's. Like the Gettext locale, it only
+  applies to the calling process. Anything else clears it.
+  """
+  @spec put_hour_cycle(term()) :: :ok
+  def put_hour_cycle(cycle) when cycle in @hour_cycles do
+    Process.put(@hour_cycle_key, cycle)
+    :ok
+  end
+
+  def put_hour_cycle(_cycle) do
+    Process.delete(@hour_cycle_key)
+    :ok
   end
 
+  @doc """
+  The hour cycle set with `put_hour_cycle/1`, or nil to follow the locale.
+  """
+  @spec hour_cycle() :: String.t() | nil
+  def hour_cycle, do: Process.get(@hour_cycle_key)
+
   @doc """
   Gets month and year display string.
   """
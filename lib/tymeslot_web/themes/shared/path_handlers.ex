@@ -6,7 +6,10 @@ defmodule TymeslotWeb.Themes.Shared.PathHandlers do
   alias Tymeslot.MeetingTypes
 
   @doc """
-  Builds a path with locale and theme query parameters.
+  Builds a path with locale and theme query parameters. Any host-set hour
+  cycle is carried along, so switching languages doesn't reset it, and so is
+  the booker's timezone in framed pages. Elsewhere the timezone stays out of
+  the URL, which may be shared, and the browser's is detected again.
   """
   @spec build_path_with_locale(Phoenix.LiveView.Socket.t(), String.t()) :: String.t()
   def build_path_with_locale(socket, locale) do
@@ -66,8 +69,13 @@ defmodule TymeslotWeb.Themes.Shared.PathHandlers do
     %{"locale" => locale}
     |> maybe_put_query_param("theme", socket.assigns[:theme_id])
     |> maybe_put_query_param("slug", slug)
+    |> maybe_put_query_param("timezone", framed_timezone(socket.assigns))
+    |> maybe_put_query_param("hour-cycle", socket.assigns[:hour_cycle])
   end
 
+  defp framed_timezone(%{framed: true, user_timezone: timezone}), do: timezone
+  defp framed_timezone(_assigns), do: nil
+
   defp get_slug(socket) do
     duration = socket.assigns[:duration] || socket.assigns[:selected_duration]
     MeetingTypes.normalize_duration_slug(duration)
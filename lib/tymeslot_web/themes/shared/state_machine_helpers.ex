@@ -5,6 +5,7 @@ defmodule TymeslotWeb.Themes.Shared.StateMachineHelpers do
 
   alias Tymeslot.Availability.Calculate
   alias Tymeslot.MeetingTypes
+  alias TymeslotWeb.Themes.Shared.EmbedEvents
 
   @default_states %{
     overview: %{step: 1, next: :schedule, prev: nil},
@@ -13,6 +14,13 @@ defmodule TymeslotWeb.Themes.Shared.StateMachineHelpers do
     confirmation: %{step: 4, prev: :booking}
   }
 
+  # Forward transitions that embed hosts can subscribe to (see EmbedEvents)
+  @transition_events %{
+    {:overview, :schedule} => "meeting_type:selected",
+    {:schedule, :booking} => "slot:selected",
+    {:booking, :confirmation} => "booking:confirmed"
+  }
+
   @doc """
   Returns the default 4-step state configuration.
   """
@@ -61,6 +69,33 @@ defmodule TymeslotWeb.Themes.Shared.StateMachineHelpers do
     end
   end
 
+  @doc """
+  Pushes the embed lifecycle event for a state transition, if it has one.
+  Backward navigation and restarts emit nothing.
+  """
+  @spec emit_transition_event(Phoenix.LiveView.Socket.t(), atom() | nil, atom()) ::
+          Phoenix.LiveView.Socket.t()
+  def emit_transition_event(socket, current_state, next_state) do
+    case Map.get(@transition_events, {current_state, next_state}) do
+      nil -> socket
+      event -> EmbedEvents.push(socket, event)
+    end
+  end
+
+  @doc """
+  Pushes the embed lifecycle event for a step the view mounted straight into.
+  Deep links to a meeting type skip the overview, so `meeting_type:selected`
+  is sent once the type is resolved.
+  """
+  @spec emit_entry_event(Phoenix.LiveView.Socket.t(), atom()) :: Phoenix.LiveView.Socket.t()
+  def emit_entry_event(socket, :schedule) do
+    if socket.assigns[:meeting_type] && !socket.redirected,
+      do: EmbedEvents.push(socket, "meeting_type:selected"),
+      else: socket
+  end
+
+  def emit_entry_event(socket, _state), do: socket
+
   @spec validate_step_requirements(Phoenix.LiveView.Socket.t(), atom()) ::
           :ok | {:error, String.t()}
   def validate_step_requirements(socket, :schedule) do
@@ -0,0 +1,2898 @@
+/**
+ * Tymeslot Booking Widget
+ * 
+ * Provides multiple embedding modes for Tymeslot booking pages:
+ * - Inline: Embeds directly into a div
+ * - Popup: Opens in a modal overlay
+ * - Floating: Fixed button that opens popup
+ * 
+ * Usage:
+ * 1. Inline: <div id="tymeslot-booking" data-username="sarah"></div>
+ * 2. Popup: <button data-tymeslot-popup="sarah">Book</button>
+ *    or TymeslotBooking.open('sarah')
+ * 3. Floating: TymeslotBooking.initFloating('sarah')
+ *
+ * Popup triggers accept the same data-theme, data-primary-color, data-locale,
+ * data-meeting-type, data-date and data-prefill-* attributes as inline embeds,
+ * work for elements added later and need no inline script, so they run under
+ * a strict Content-Security-Policy.
+ *
+ * Lifecycle events:
+ *   TymeslotBooking.on('booking:confirmed', function(payload) { ... })
+ *   container.addEventListener('tymeslot:booking:confirmed', function(e) { e.detail })
+ *
+ * Events: meeting_type:selected, slot:selected, form:started,
+ * booking:submitted, booking:confirmed. Payloads carry meeting_type, start_time, duration and
+ * timezone; booker details only when the owner enables sharing them.
+ *
+ * Errors: the booking page reports a readiness status once it has mounted
+ * (ok, not_found, deactivated, domain_not_allowed). Anything but ok, or no
+ * report at all (a frame blocked by the embed allowlist), replaces it with a
+ * fallback in the widget's locale and fires 'error' with { status, message }:
+ *   TymeslotBooking.embed(el, 'sarah', { onError: function(error) { ... } })
+ *   TymeslotBooking.on('error', function(error) { ... })
+ * Loading timeouts report status 'timeout'.
+ *
+ * Color scheme:
+ *   TymeslotBooking.embed(el, 'sarah', { colorScheme: 'auto', colorSchemeClass: 'dark' })
+ *   <div id="tymeslot-booking" data-username="sarah" data-color-scheme="auto" data-color-scheme-class="dark"></div>
+ *
+ * colorScheme is 'light', 'dark' or 'auto'. In auto the widget follows the
+ * host page: the class on <html> when colorSchemeClass is set (dark while
+ * html.dark is present), prefers-color-scheme otherwise. Changes are pushed
+ * to open widgets without reloading them.
+ *
+ * Timezone and clock:
+ *   TymeslotBooking.embed(el, 'sarah', { timezone: 'America/Chicago', hourCycle: 'h12' })
+ *   <div id="tymeslot-booking" data-username="sarah" data-timezone="America/Chicago" data-hour-cycle="h23"></div>
+ *
+ * timezone (an IANA name) replaces the browser's guess, and hourCycle ('h12'
+ * or 'h23') replaces the locale's clock. Unknown values are ignored. A
+ * timezone the booker picks in the booking page still wins.
+ *
+ * Branding:
+ *   TymeslotBooking.embed(el, 'sarah', { branding: 'inherit', brandingSelector: '.site-header' })
+ *   <div id="tymeslot-booking" data-username="sarah" data-branding="inherit"></div>
+ *
+ * branding: 'inherit' lends the booking page the accent color, text color
+ * and font of an element on the host page: brandingSelector's, or else the
+ * inline container (the page body for popups). The accent is that element's
+ * accent-color, or the color of the first link in it. The booking page only
+ * uses colors with enough contrast for where they go; data-primary-color
+ * still wins over the inherited accent. Web fonts need to be available on
+ * the booking page too, or the next family in the list is used.
+ *
+ * Prefilling booker details:
+ *   TymeslotBooking.open('sarah', { prefill: { name: 'Jane', email: 'jane@example.com', notes: '...' } })
+ *   <div id="tymeslot-booking" data-username="sarah" data-prefill-name="Jane" data-prefill-email="jane@example.com"></div>
+ *
+ * Prefill values are sent to the booking page with postMessage once it has
+ * loaded, never in the iframe URL, so they stay out of server logs.
+ *
+ * Deep links:
+ *   <div id="tymeslot-booking" data-username="sarah" data-meeting-type="30-min-demo" data-date="2026-03-10"></div>
+ *   TymeslotBooking.open('sarah', { meetingType: 42, date: '2026-03-10' })
+ *
+ * meetingType (slug or ID) opens the schedule step for that meeting type; date
+ * (YYYY-MM-DD, only with meetingType) preselects a day, and time (a slot such
+ * as '9:00 AM', only with date) opens the details form for that slot. Unknown
+ * or disabled types fall back to the overview with a message.
+ *
+ * Next available slots:
+ *   <div data-tymeslot-slots="sarah" data-meeting-type="30-min-demo" data-count="3"></div>
+ *
+ * Renders the next free slots of a meeting type (data-count, up to 10) as
+ * buttons in the host page, in the visitor's timezone (or data-timezone);
+ * each opens the popup on that slot. The slots come from
+ * /api/embed/slots/<username>/<meeting type>, which only answers pages on
+ * the embed allowlist. Popup attributes such as data-theme and data-locale
+ * apply too.
+ *
+ * Redirect after booking:
+ *   TymeslotBooking.embed(el, 'sarah', { onConfirmedRedirect: '/thank-you' })
+ *   TymeslotBooking.open('sarah', { onConfirmedRedirect: { url: 'https://example.com/welcome', withDetails: true } })
+ *   <div id="tymeslot-booking" data-username="sarah" data-confirmed-redirect="/thank-you" data-confirmed-redirect-details="true"></div>
+ *
+ * Once a booking is confirmed (after the booking:confirmed event) the host
+ * page navigates to the URL; relative URLs resolve against the host page.
+ * It overrides the meeting type's "redirect after booking" setting, and
+ * false turns that off. withDetails adds booking (the booking reference),
+ * start_time and meeting_type to the query string. The booking page only
+ * redirects to hosts on the embed domain allowlist.
+ *
+ * Attribution: utm_* parameters, the host page URL and document.referrer are
+ * sent along the same way and stored with the booking. Query strings and
+ * fragments are dropped from both URLs.
+ *
+ * Instances (for single-page apps):
+ *   const booking = TymeslotBooking.embed(el, 'sarah', { theme: 'quill' })
+ *   booking.update({ locale: 'de' })  // merge options and reload
+ *   booking.update({ primaryColor: '#4f46e5', prefill: { name: 'Jane' } })  // applied in place, no reload
+ *   booking.reload()
+ *   booking.destroy()                 // remove iframe and pending retries
+ *   TymeslotBooking.destroyAll()      // e.g. on route change
+ *
+ * open() returns the popup's handle and initFloating() one with destroy().
+ *
+ * Popups fill the screen on phones and shrink with the on-screen keyboard.
+ * open() adds a history entry (same URL and state, plus a marker) so Back
+ * closes the popup; close() removes it again.
+ * Embedding into a container again replaces the earlier instance.
+ *
+ * Inline containers added after load (SPAs, Turbo, HTMX, page builders) are
+ * picked up automatically and destroyed when removed; each container is only
+ * initialized once. Opt out with data-tymeslot-auto-init="false" on the
+ * script tag, or toggle with TymeslotBooking.observe() / unobserve().
+ *
+ * Loading:
+ *   <div id="tymeslot-booking" data-username="sarah" data-loading="lazy"></div>
+ *   TymeslotBooking.prewarm('sarah')  // e.g. from a custom trigger's mouseenter
+ *
+ * Lazy embeds mount when they come within 200px of the viewport. The floating
+ * button and data-tymeslot-popup triggers prewarm on hover, focus and touch.
+ *
+ * Custom element (see TymeslotBookingElement below):
+ *   <tymeslot-booking username="sarah" mode="inline|popup" meeting-type="demo"></tymeslot-booking>
+ *
+ * Link interception (opt-in):
+ *   <script src=".../embed.js" data-tymeslot-intercept async></script>
+ *   or TymeslotBooking.interceptLinks({ theme: '2' })
+ *
+ * Plain <a href> links to booking pages on the Tymeslot origin open in the
+ * popup, keeping their query parameters. Middle-click and modifier clicks
+ * navigate as usual; data-tymeslot-intercept="false" opts a link out.
+ *
+ * Floating button:
+ *   TymeslotBooking.initFloating('sarah', {
+ *     position: 'left', offsetX: 16, offsetY: 16,
+ *     label: 'Book a demo', avatar: 'https://example.com/me.jpg',
+ *     hideOnMobile: true, hideOnPaths: ['/checkout', '/account/*'],
+ *     autoOpen: { delay: 20, scrollDepth: 60, exitIntent: true, frequencyDays: 7 }
+ *   })
+ *
+ * autoOpen fires on whichever trigger comes first, at most once per
+ * frequencyDays per visitor (stored in localStorage; 0 disables the cap).
+ *
+ * Analytics: widgets report funnel steps (impression, open, meeting type and
+ * slot selected, form started, confirmed) to Tymeslot for the owner's
+ * dashboard, batched and sent with sendBeacon. No cookies, identifiers or
+ * page URLs are sent; the host domain is taken from the request. Opt out with
+ * data-tymeslot-analytics="false" on the script tag.
+ *
+ * Versions: /embed/v1.2.3.js is an immutable build and /embed/v1.js follows
+ * the latest 1.x.y release (as does /embed.js). Pin a build and let the
+ * browser check it with Subresource Integrity; the hashes of all builds are
+ * listed in /embed/manifest.json:
+ *   <script src=".../embed/v1.0.0.js" integrity="sha384-..." crossorigin="anonymous" async></script>
+ *
+ * TymeslotBooking.version is the running build's version.
+ *
+ * Content-Security-Policy: embed.js writes no HTML strings into the page and
+ * needs no 'unsafe-inline' or 'unsafe-eval'. With <origin> the Tymeslot origin
+ * embed.js is served from, a host page needs:
+ *   script-src <origin>                     (or a nonce on the script tag)
+ *   frame-src <origin>                      the booking page
+ *   connect-src <origin>                    /api/embed/events (analytics) and
+ *                                           /api/embed/slots (slots widgets)
+ *   img-src <avatar host>                   only for a floating button avatar or icon
+ *   style-src 'nonce-<nonce>'               only for browsers without constructed
+ *                                           stylesheets (see below)
+ *   require-trusted-types-for 'script'; trusted-types tymeslot
+ *                                           when enforcing Trusted Types
+ *
+ * Widget styles are constructed stylesheets, which style-src doesn't cover.
+ * Where they're unsupported embed.js falls back to <style> elements carrying
+ * the nonce from the nonce option, data-tymeslot-nonce on the script tag, or
+ * the script tag's own nonce:
+ *   <script src=".../embed.js" nonce="r4nd0m" async></script>
+ *   TymeslotBooking.embed(el, 'sarah', { nonce: 'r4nd0m' })
+ *
+ * The 'tymeslot' Trusted Types policy only accepts embed.js' own icons; add
+ * 'allow-duplicates' to trusted-types if embed.js may load twice. Without
+ * the policy the floating button shows no icon.
+ *
+ * Styling: the modal, loader, error and floating button render in shadow
+ * roots, so page CSS doesn't affect them. Restyle them with custom properties
+ * and parts:
+ *   :root {
+ *     --tymeslot-overlay: rgba(15, 23, 42, 0.8);
+ *     --tymeslot-radius: 8px;
+ *     --tymeslot-button-bg: #4f46e5;
+ *   }
+ *   #tymeslot-floating-button::part(floating-button) { border-radius: 12px; }
+ *
+ * Properties: --tymeslot-font, --tymeslot-overlay, --tymeslot-z-index,
+ * --tymeslot-radius, --tymeslot-dialog-bg, --tymeslot-dialog-max-width,
+ * --tymeslot-dialog-shadow, --tymeslot-close-bg, --tymeslot-close-hover-bg,
+ * --tymeslot-close-color, --tymeslot-button-bg, --tymeslot-button-color,
+ * --tymeslot-button-size, --tymeslot-button-offset, --tymeslot-button-radius,
+ * --tymeslot-loader-color, --tymeslot-text-muted.
+ *
+ * Parts: overlay, dialog, close-button (on #tymeslot-modal); floating-button,
+ * floating-icon, floating-label (on #tymeslot-floating-button); widget, iframe, loader,
+ * spinner, loading-text, error (on .tymeslot-widget and #tymeslot-modal); slots, slot,
+ * slots-more, slots-empty (on .tymeslot-slots).
+ */
+
+(function() {
+  'use strict';
+
+  // Build version, published as /embed/v<VERSION>.js (see mix embed_publish).
+  // Bump it with every change to this file.
+  const VERSION = '1.0.0';
+
+  // /embed.js, /embed/v1.js or /embed/v1.2.3.js
+  const SCRIPT_PATTERN = /\/embed(\/v\d+(\.\d+\.\d+)?)?\.js(?:[?#]|$)/;
+
+  /**
+   * The <script> tag embed.js was loaded from, found by its URL
+   */
+  function findScriptTag() {
+    return Array.prototype.find.call(document.scripts, script => SCRIPT_PATTERN.test(script.src)) || null;
+  }
+
+  /**
+   * Global Error Handling
+   */
+  const failSafe = (msg) => {
+    console.error('Tymeslot Error:', msg);
+    const containers = document.querySelectorAll('#tymeslot-booking, [data-tymeslot-inline]');
+    containers.forEach(c => {
+      if (typeof TymeslotBooking !== 'undefined' && TymeslotBooking.showError) {
+        TymeslotBooking.showError(c);
+      } else {
+        // Built node by node (no innerHTML) so Trusted Types hosts get it too
+        const box = document.createElement('div');
+        box.style.cssText = 'padding:20px;color:#991b1b;background:#fef2f2;border:1px solid #fecaca;border-radius:8px;font-family:sans-serif;';
+        const strong = document.createElement('strong');
+        strong.textContent = 'Booking system unavailable.';
+        box.appendChild(strong);
+        c.replaceChildren(box);
+      }
+    });
+  };
+
+  window.addEventListener('error', function(e) {
+    if (e.filename && SCRIPT_PATTERN.test(e.filename)) {
+      failSafe(e.message);
+    }
+  });
+
+  // Configuration
+  const CONFIG = {
+    // Get base URL from script tag or current domain
+    getBaseUrl: function() {
+      // 1. Try modern currentScript API
+      if (document.currentScript) {
+        return new URL(document.currentScript.src).origin;
+      }
+      // 2. Fallback to searching script tags
+      const script = findScriptTag();
+      if (script) {
+        const src = script.getAttribute('src');
+        const url = new URL(src, window.location.href);
+        return url.origin;
+      }
+      return window.location.origin;
+    }
+  };
+
+  const BASE_URL = CONFIG.getBaseUrl();
+
+  // Only available while the script first runs
+  const SCRIPT_TAG = document.currentScript || findScriptTag();
+
+  // Nonce for <style> elements under a nonce-only style-src: the nonce
+  // option, data-tymeslot-nonce on the script tag, or the script's own nonce
+  let styleNonce = SCRIPT_TAG ? SCRIPT_TAG.getAttribute('data-tymeslot-nonce') || SCRIPT_TAG.nonce || null : null;
+
+  const LIFECYCLE_EVENTS = [
+    'meeting_type:selected',
+    'slot:selected',
+    'form:started',
+    'booking:submitted',
+    'booking:confirmed'
+  ];
+
+  // Events hosts can subscribe to with on(); 'error' comes from embed.js itself
+  const WIDGET_EVENTS = LIFECYCLE_EVENTS.concat(['error']);
+
+  // Callbacks registered through TymeslotBooking.on(), keyed by event name
+  const eventListeners = {};
+
+  // Statuses the booking page reports in its ready message
+  const READY_STATUSES = ['ok', 'not_found', 'deactivated', 'domain_not_allowed'];
+
+  // A frame blocked by the embed allowlist (CSP frame-ancestors) still fires
+  // onload but never says it's ready
+  const READY_TIMEOUT_MS = 10000;
+
+  // Fallbacks shown in place of the booking page, per status and locale
+  const FALLBACK_MESSAGES = {
+    en: {
+      not_found: ["This booking page doesn't exist.", 'Check the link or contact the organizer.'],
+      deactivated: ["This booking page isn't available right now.", "The organizer hasn't finished setting it up yet. Please try again later."],
+      domain_not_allowed: ["Booking isn't enabled on this website.", "You can still book on the organizer's booking page.", 'Open booking page'],
+      timeout: ['Booking widget is taking too long to load.', 'Please check your connection or refresh the page.'],
+      error: ['Booking is unavailable right now.', 'Please refresh the page or try again later.']
+    },
+    de: {
+      not_found: ['Diese Buchungsseite existiert nicht.', 'Bitte überprüfen Sie den Link oder wenden Sie sich an den Organisator.'],
+      deactivated: ['Diese Buchungsseite ist derzeit nicht verfügbar.', 'Der Organisator hat die Einrichtung noch nicht abgeschlossen. Bitte versuchen Sie es später erneut.'],
+      domain_not_allowed: ['Buchungen sind auf dieser Website nicht aktiviert.', 'Sie können direkt auf der Buchungsseite des Organisators buchen.', 'Buchungsseite öffnen'],
+      timeout: ['Das Buchungs-Widget lädt zu lange.', 'Bitte überprüfen Sie Ihre Verbindung oder laden Sie die Seite neu.'],
+      error: ['Buchungen sind gerade nicht verfügbar.', 'Bitte laden Sie die Seite neu oder versuchen Sie es später erneut.']
+    },
+    fr: {
+      not_found: ["Cette page de réservation n'existe pas.", "Vérifiez le lien ou contactez l'organisateur."],
+      deactivated: ["Cette page de réservation n'est pas disponible pour le moment.", "L'organisateur n'a pas encore terminé sa configuration. Veuillez réessayer plus tard."],
+      domain_not_allowed: ["La réservation n'est pas activée sur ce site.", "Vous pouvez réserver directement sur la page de l'organisateur.", 'Ouvrir la page de réservation'],
+      timeout: ['Le widget de réservation met trop de temps à charger.', 'Vérifiez votre connexion ou actualisez la page.'],
+      error: ['La réservation est indisponible pour le moment.', 'Actualisez la page ou réessayez plus tard.']
+    },
+    uk: {
+      not_found: ['Такої сторінки бронювання не існує.', 'Перевірте посилання або зверніться до організатора.'],
+      deactivated: ['Ця сторінка бронювання зараз недоступна.', 'Організатор ще не завершив налаштування. Спробуйте пізніше.'],
+      domain_not_allowed: ['Бронювання на цьому сайті не ввімкнено.', 'Ви можете забронювати безпосередньо на сторінці організатора.', 'Відкрити сторінку бронювання'],
+      timeout: ['Віджет бронювання завантажується надто довго.', 'Перевірте з’єднання або оновіть сторінку.'],
+      error: ['Бронювання зараз недоступне.', 'Оновіть сторінку або спробуйте пізніше.']
+    }
+  };
+
+  /**
+   * Locale for fallback messages: the widget's locale option, then the host
+   * page's language, then English
+   */
+  function fallbackLocale(locale) {
+    const candidates = [locale, document.documentElement.lang, navigator.language];
+    for (let i = 0; i < candidates.length; i++) {
+      const code = typeof candidates[i] === 'string' ? candidates[i].slice(0, 2).toLowerCase() : '';
+      if (FALLBACK_MESSAGES[code]) return code;
+    }
+    return 'en';
+  }
+
+  /**
+   * Messaging protocol
+   *
+   * Every message between embed.js and a booking iframe, in either
+   * direction, is an envelope:
+   *   { tymeslot: 1, channel: '<id>', type: 'resize', payload: { height: 640 } }
+   *
+   * Each iframe gets its own channel id, handed to the booking page in the
+   * iframe's name as "tymeslot:<version>:<channel>". Messages are pinned to
+   * the Tymeslot origin, must come from that iframe's window and carry its
+   * channel, and each type's payload is checked before it is acted on.
+   *
+   * The booking page answers in the lower of its own version and the one in
+   * the iframe name, so copies of embed.js cached on customer sites keep
+   * working after the server moves on. Copies that predate the envelope
+   * don't name the iframe and get the old flat messages.
+   */
+  const PROTOCOL_VERSION = 1;
+  const CHANNEL_PREFIX = 'tymeslot:';
+
+  // Message types the booking page sends, with a check for each payload
+  const INBOUND_MESSAGES = {
+    'ready': payload => typeof payload.status === 'string',
+    'mounted': () => true,
+    'resize': payload => typeof payload.height === 'number' && payload.height > 0,
+    'event': payload => LIFECYCLE_EVENTS.indexOf(payload.event) !== -1,
+    'close': () => true,
+    'redirect': payload => typeof payload.url === 'string'
+  };
+
+  // Options the booking page can apply without reloading
+  const LIVE_OPTIONS = [
+    'primaryColor', 'colorScheme', 'colorSchemeClass', 'branding', 'brandingSelector', 'prefill',
+    'onConfirmedRedirect'
+  ];
+
+  // Channel id per booking iframe
+  const iframeChannels = new WeakMap();
+
+  /**
+   * Random id for a new iframe's channel
+   */
+  function channelId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return Math.random().toString(36).slice(2) + Date.now().toString(36);
+  }
+
+  /**
+   * Unwrap a message from a booking iframe
+   *
+   * Returns { version, type, payload }, or null for anything that isn't a
+   * well-formed envelope on the iframe's channel.
+   */
+  function readMessage(iframe, data) {
+    if (!data || typeof data !== 'object') return null;
+    if (typeof data.tymeslot !== 'number' || data.tymeslot < 1 || data.tymeslot > PROTOCOL_VERSION) return null;
+    if (data.channel !== iframeChannels.get(iframe)) return null;
+    if (!Object.prototype.hasOwnProperty.call(INBOUND_MESSAGES, data.type)) return null;
+
+    const payload = data.payload === undefined ? {} : data.payload;
+    if (!payload || typeof payload !== 'object') return null;
+    if (!INBOUND_MESSAGES[data.type](payload)) return null;
+
+    return { version: data.tymeslot, type: data.type, payload: payload };
+  }
+
+  /**
+   * Post a message to a booking iframe, pinned to the Tymeslot origin
+   */
+  function postToIframe(iframe, type, payload) {
+    const channel = iframeChannels.get(iframe);
+    if (!channel || !iframe.contentWindow) return;
+
+    iframe.contentWindow.postMessage({
+      tymeslot: PROTOCOL_VERSION,
+      channel: channel,
+      type: type,
+      payload: payload
+    }, BASE_URL);
+  }
+
+  const PREFILL_FIELDS = ['name', 'email', 'notes'];
+  const PREFILL_MAX_LENGTH = 2000;
+
+  // Prefill values per booking iframe, kept off the DOM and out of the URL
+  const iframePrefill = new WeakMap();
+
+  /**
+   * Keep only known prefill fields with non-empty string values
+   */
+  function normalizePrefill(prefill) {
+    if (!prefill || typeof prefill !== 'object') return null;
+
+    const result = {};
+    PREFILL_FIELDS.forEach(field => {
+      const value = prefill[field];
+      if (typeof value === 'string' && value.trim() !== '') {
+        result[field] = value.trim().slice(0, PREFILL_MAX_LENGTH);
+      }
+    });
+
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  // Post-booking redirects per booking iframe (the onConfirmedRedirect option)
+  const iframeRedirect = new WeakMap();
+
+  /**
+   * Absolute http(s) URL for a URL relative to the host page, or null
+   */
+  function httpUrl(value) {
+    try {
+      const url = new URL(value, window.location.href);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize the onConfirmedRedirect option for the booking page
+   *
+   * Takes a URL, { url, withDetails }, or false to turn off the meeting
+   * type's own redirect. Returns { url, withDetails }, { url: false } or null.
+   */
+  function normalizeRedirect(redirect) {
+    const isObject = !!redirect && typeof redirect === 'object';
+    const value = isObject ? redirect.url : redirect;
+
+    if (value === false || value === 'false') return { url: false };
+    if (typeof value !== 'string' || value.trim() === '') return null;
+
+    const url = httpUrl(value.trim());
+    if (!url) {
+      console.error('Tymeslot: Invalid onConfirmedRedirect URL:', value);
+      return null;
+    }
+
+    return { url: url, withDetails: isObject && redirect.withDetails === true };
+  }
+
+  /**
+   * onConfirmedRedirect from a redirect URL attribute and its details flag
+   */
+  function redirectFromAttributes(url, details) {
+    if (url === null) return null;
+    return details === null ? url : { url: url, withDetails: details === 'true' };
+  }
+
+  const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+  const ATTRIBUTION_MAX_LENGTH = 255;
+
+  /**
+   * Strip the query string and fragment from a URL
+   */
+  function stripUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.origin + url.pathname;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Collect campaign attribution from the host page
+   *
+   * Read when the booking page asks for it rather than at load, so
+   * single-page apps report the route the widget was opened on.
+   */
+  function collectAttribution() {
+    const attribution = {};
+    const params = new URLSearchParams(window.location.search);
+
+    UTM_PARAMS.forEach(key => {
+      const value = params.get(key);
+      if (value) attribution[key] = value.slice(0, ATTRIBUTION_MAX_LENGTH);
+    });
+
+    const pageUrl = stripUrl(window.location.href);
+    if (pageUrl) attribution.page_url = pageUrl;
+
+    const referrer = document.referrer ? stripUrl(document.referrer) : null;
+    if (referrer) attribution.referrer = referrer;
+
+    return attribution;
+  }
+
+  /**
+   * Send campaign attribution to a booking iframe, pinned to the Tymeslot origin
+   */
+  function sendAttribution(iframe) {
+    postToIframe(iframe, 'attribution', collectAttribution());
+  }
+
+  /**
+   * Send prefill values to a booking iframe, pinned to the Tymeslot origin
+   */
+  function sendPrefill(iframe) {
+    const prefill = iframePrefill.get(iframe);
+    if (!prefill) return;
+
+    postToIframe(iframe, 'prefill', prefill);
+  }
+
+  /**
+   * Send the post-booking redirect to a booking iframe, pinned to the Tymeslot origin
+   *
+   * The booking page only uses URLs on the embed domain allowlist.
+   */
+  function sendRedirect(iframe) {
+    const redirect = iframeRedirect.get(iframe);
+    if (!redirect) return;
+
+    postToIframe(iframe, 'redirect', redirect);
+  }
+
+  /**
+   * Navigate the host page once a booking is confirmed
+   *
+   * The booking:confirmed event has already been dispatched; queued funnel
+   * steps go out first, since the page is about to unload.
+   */
+  function followRedirect(url) {
+    const target = httpUrl(url);
+    if (!target) return;
+
+    flushFunnel();
+    window.location.assign(target);
+  }
+
+  /**
+   * Send theme changes the booking page applies in place (see LIVE_OPTIONS)
+   *
+   * Only the keys present are changed; null goes back to the theme default.
+   */
+  function sendTheme(iframe, theme) {
+    postToIframe(iframe, 'theme', theme);
+  }
+
+  /**
+   * Hex form of an opaque computed rgb()/rgba() color, or null
+   */
+  function cssColorToHex(value) {
+    const match = /^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/.exec(value || '');
+    if (!match || (match[4] !== undefined && Number(match[4]) < 1)) return null;
+
+    return '#' + match.slice(1, 4).map(n => Number(n).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Accent color, text color and font of the host page for branding: 'inherit'
+   *
+   * Returns an empty object when branding isn't inherited, which clears any
+   * branding sent earlier.
+   */
+  function inheritedBranding(instance) {
+    const options = instance.options;
+    if (options.branding !== 'inherit') return {};
+
+    let reference = null;
+    if (typeof options.brandingSelector === 'string' && options.brandingSelector) {
+      try {
+        reference = document.querySelector(options.brandingSelector);
+      } catch (e) {
+        console.error('Tymeslot: Invalid brandingSelector:', options.brandingSelector);
+      }
+    }
+    if (!reference) reference = instance.mode === 'inline' ? instance.container : document.body;
+    if (!reference) return {};
+
+    const style = window.getComputedStyle(reference);
+    const link = reference.querySelector('a[href]') || document.querySelector('a[href]');
+    const accent = cssColorToHex(style.accentColor) || (link && cssColorToHex(window.getComputedStyle(link).color));
+    const text = cssColorToHex(style.color);
+
+    const branding = {};
+    if (accent) branding.accent = accent;
+    if (text) branding.text = text;
+    if (style.fontFamily) branding.font = style.fontFamily.slice(0, 200);
+    return branding;
+  }
+
+  /**
+   * Send the host page's branding to an instance's booking page
+   */
+  function sendBranding(instance) {
+    if (!instance.iframe) return;
+    postToIframe(instance.iframe, 'branding', inheritedBranding(instance));
+  }
+
+  const HOUR_CYCLES = ['h12', 'h23'];
+
+  /**
+   * Whether the browser knows an IANA timezone name
+   */
+  function validTimezone(timezone) {
+    if (typeof timezone !== 'string' || !/^[A-Za-z][A-Za-z0-9_+\/-]{0,63}$/.test(timezone)) return false;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  const COLOR_SCHEMES = ['light', 'dark'];
+
+  /**
+   * The color scheme the booking page should use, or null for its default
+   */
+  function resolveColorScheme(options) {
+    const scheme = options.colorScheme;
+    if (COLOR_SCHEMES.indexOf(scheme) !== -1) return scheme;
+    if (scheme !== 'auto') return null;
+
+    const hostClass = options.colorSchemeClass;
+    if (typeof hostClass === 'string' && /^-?[A-Za-z_][\w-]*$/.test(hostClass)) {
+      return document.documentElement.classList.contains(hostClass) ? 'dark' : 'light';
+    }
+
+    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  let colorSchemeWatched = false;
+
+  /**
+   * Push the host's color scheme to auto widgets whenever it changes
+   *
+   * Watches the <html> class list and prefers-color-scheme once, for all
+   * instances; widgets that aren't showing yet pick the scheme up from
+   * their URL or their mounted message.
+   */
+  function watchColorScheme() {
+    if (colorSchemeWatched) return;
+    colorSchemeWatched = true;
+
+    const sync = () => {
+      instances.forEach(instance => {
+        if (instance.options.colorScheme !== 'auto' || !instance.wrapper || !instance.wrapper.ready) return;
+
+        const scheme = resolveColorScheme(instance.options);
+        if (scheme === instance.colorScheme) return;
+
+        instance.colorScheme = scheme;
+        sendTheme(instance.iframe, { colorScheme: scheme });
+      });
+    };
+
+    if (window.MutationObserver) {
+      new MutationObserver(sync).observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+    }
+
+    if (window.matchMedia) {
+      const query = window.matchMedia('(prefers-color-scheme: dark)');
+      if (query.addEventListener) {
+        query.addEventListener('change', sync);
+      } else if (query.addListener) {
+        query.addListener(sync);
+      }
+    }
+  }
+
+  // Live embed instances, so messages can be routed and destroyAll() can
+  // tear everything down
+  const instances = new Set();
+
+  /**
+   * The live instance owning an iframe
+   */
+  function instanceForIframe(iframe) {
+    for (const instance of instances) {
+      if (instance.iframe === iframe) return instance;
+    }
+    return null;
+  }
+
+  /**
+   * Find the booking iframe a message was posted from
+   */
+  function findSourceIframe(source) {
+    for (const instance of instances) {
+      if (instance.iframe && instance.iframe.contentWindow === source) return instance.iframe;
+    }
+    return null;
+  }
+
+  /**
+   * The widget host element whose shadow root holds an iframe
+   */
+  function widgetHost(iframe) {
+    const root = iframe.getRootNode();
+    return root && root.host ? root.host : null;
+  }
+
+  /**
+   * Resize an inline iframe to the height reported by the booking page
+   *
+   * Popup iframes fill the modal and keep their own scrolling, so only
+   * inline iframes follow the reported height.
+   */
+  function handleResize(iframe, height) {
+    if (iframe.dataset.fixedHeight === 'true') return;
+
+    // Drop the initial 700px floor once the page reports its real height
+    iframe.style.minHeight = '0';
+    iframe.style.height = height + 'px';
+    const wrapper = widgetHost(iframe);
+    if (wrapper) {
+      wrapper.style.minHeight = height + 'px';
+    }
+  }
+
+  const FUNNEL_URL = BASE_URL + '/api/embed/events';
+  const FUNNEL_FLUSH_MS = 5000;
+  const FUNNEL_BATCH_MAX = 50;
+
+  // Lifecycle events that are also funnel steps
+  const FUNNEL_EVENTS = {
+    'meeting_type:selected': 'meeting_type_selected',
+    'slot:selected': 'slot_selected',
+    'form:started': 'form_started',
+    'booking:confirmed': 'confirmed'
+  };
+
+  const funnelEnabled = !SCRIPT_TAG || SCRIPT_TAG.getAttribute('data-tymeslot-analytics') !== 'false';
+  let funnelQueue = [];
+  let funnelTimer = null;
+
+  // Steps already counted, per instance (or floating button)
+  const funnelSteps = new WeakMap();
+
+  /**
+   * Queue a funnel step, once per instance
+   *
+   * owner is an instance, or anything else with username and embedType.
+   */
+  function trackFunnel(owner, step) {
+    if (!funnelEnabled || !owner || !owner.embedType) return;
+
+    const counted = funnelSteps.get(owner) || new Set();
+    if (counted.has(step)) return;
+    counted.add(step);
+    funnelSteps.set(owner, counted);
+
+    funnelQueue.push({ username: owner.username, type: owner.embedType, step: step });
+    if (funnelQueue.length >= FUNNEL_BATCH_MAX) {
+      flushFunnel();
+    } else if (!funnelTimer) {
+      funnelTimer = setTimeout(flushFunnel, FUNNEL_FLUSH_MS);
+    }
+  }
+
+  /**
+   * Send queued funnel steps
+   *
+   * A form body keeps sendBeacon and the fetch fallback free of CORS
+   * preflights; neither sends anything back.
+   */
+  function flushFunnel() {
+    clearTimeout(funnelTimer);
+    funnelTimer = null;
+    if (funnelQueue.length === 0) return;
+
+    const body = new URLSearchParams({ events: JSON.stringify(funnelQueue) });
+    funnelQueue = [];
+
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(FUNNEL_URL, body)) return;
+    } catch (e) {
+      // Fall through to fetch
+    }
+
+    if (typeof fetch === 'function') {
+      fetch(FUNNEL_URL, { method: 'POST', body: body, mode: 'no-cors', credentials: 'omit', keepalive: true })
+        .catch(() => {});
+    }
+  }
+
+  // Whatever is queued goes out before the page is hidden or left
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushFunnel();
+  });
+  window.addEventListener('pagehide', flushFunnel);
+
+  /**
+   * Dispatch a lifecycle event to subscribers and as a DOM event
+   *
+   * The DOM event fires on the element holding the widget (the inline
+   * container, or the modal for popups, unless the instance names its own
+   * eventTarget) and bubbles up to the document.
+   */
+  function emitLifecycleEvent(iframe, event, payload) {
+    const detail = payload && typeof payload === 'object' ? payload : {};
+    const instance = instanceForIframe(iframe);
+    const wrapper = widgetHost(iframe);
+    const target = (instance && instance.eventTarget) || (wrapper && wrapper.parentNode) || document;
+
+    // composed lets popup events leave the modal's shadow root
+    target.dispatchEvent(new CustomEvent('tymeslot:' + event, {
+      detail: detail,
+      bubbles: true,
+      composed: true
+    }));
+
+    (eventListeners[event] || []).slice().forEach(callback => {
+      try {
+        callback(detail);
+      } catch (err) {
+        console.error('Tymeslot: Error in ' + event + ' listener:', err);
+      }
+    });
+  }
+
+  /**
+   * Global message listener for messages from booking iframes
+   *
+   * Messages are only accepted from the Tymeslot origin, from one of the
+   * booking iframes on this page and on that iframe's channel.
+   */
+  window.addEventListener('message', function(e) {
+    if (e.origin !== BASE_URL) return;
+
+    const iframe = findSourceIframe(e.source);
+    if (!iframe) return;
+
+    const message = readMessage(iframe, e.data);
+    if (!message) return;
+
+    const payload = message.payload;
+    if (message.type === 'mounted') {
+      // The booking page (re)connected and can take host context now
+      sendAttribution(iframe);
+      sendPrefill(iframe);
+      sendRedirect(iframe);
+
+      // The host may have switched schemes while the page was loading
+      const instance = instanceForIframe(iframe);
+      if (instance && instance.options.colorScheme) {
+        instance.colorScheme = resolveColorScheme(instance.options);
+        sendTheme(iframe, { colorScheme: instance.colorScheme });
+      }
+      if (instance && instance.options.branding === 'inherit') sendBranding(instance);
+    } else if (message.type === 'resize') {
+      handleResize(iframe, payload.height);
+    } else if (message.type === 'event') {
+      emitLifecycleEvent(iframe, payload.event, payload.payload);
+      if (FUNNEL_EVENTS[payload.event]) trackFunnel(instanceForIframe(iframe), FUNNEL_EVENTS[payload.event]);
+    } else if (message.type === 'ready') {
+      const wrapper = widgetHost(iframe);
+      if (wrapper && wrapper.handleReady) wrapper.handleReady(payload.status);
+
+      // An inline widget counts as seen once its booking page shows
+      const instance = instanceForIframe(iframe);
+      if (wrapper && wrapper.ready && instance && instance.mode === 'inline') trackFunnel(instance, 'impression');
+    } else if (message.type === 'close') {
+      // Only the popup can be closed from inside; inline embeds stay put
+      const instance = instanceForIframe(iframe);
+      if (instance && instance === activePopup) TymeslotBooking.close();
+    } else if (message.type === 'redirect') {
+      followRedirect(payload.url);
+    }
+  });
+
+  /**
+   * Validate a meetingType option (slug or numeric ID) for use in the path
+   */
+  function meetingTypeSlug(meetingType) {
+    if (meetingType === undefined || meetingType === null || meetingType === '') return null;
+
+    const slug = String(meetingType).trim().toLowerCase();
+    // "thank-you" is the confirmation route, not a meeting type
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug) || slug === 'thank-you') {
+      console.error('Tymeslot: Invalid meeting type:', meetingType);
+      return null;
+    }
+
+    return slug;
+  }
+
+  // Slot times as the booking page writes them, e.g. "9:00 AM"
+  const SLOT_TIME_PATTERN = /^(1[0-2]|[1-9]):[0-5]\d (AM|PM)$/;
+
+  let resourceHintsAdded = false;
+  const prewarmedUrls = new Set();
+
+  /**
+   * Add preconnect and dns-prefetch hints for the Tymeslot origin once
+   */
+  function addResourceHints() {
+    if (resourceHintsAdded || !document.head) return;
+    resourceHintsAdded = true;
+
+    const origin = new URL(BASE_URL).origin;
+    ['preconnect', 'dns-prefetch'].forEach(rel => {
+      if (document.head.querySelector(`link[rel="${rel}"][href="${origin}"]`)) return;
+
+      const link = document.createElement('link');
+      link.rel = rel;
+      link.href = origin;
+      if (rel === 'preconnect') link.crossOrigin = '';
+      document.head.appendChild(link);
+    });
+  }
+
+  /**
+   * Prefetch a popup's booking page so opening it feels instant
+   */
+  function prewarm(username, options = {}) {
+    if (!username || !document.head) return;
+    addResourceHints();
+
+    const url = bookingUrl(username, options);
+    if (prewarmedUrls.has(url)) return;
+    prewarmedUrls.add(url);
+
+    const link = document.createElement('link');
+    link.rel = 'prefetch';
+    link.as = 'document';
+    link.href = url;
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Build the booking page URL for a widget
+   */
+  function bookingUrl(username, options = {}) {
+    const base = BASE_URL.replace(/\/$/, '');
+    const meetingType = meetingTypeSlug(options.meetingType);
+    const date = meetingType && typeof options.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(options.date)
+      ? options.date
+      : null;
+    // A time (a slot from the slots widget) skips straight to the details form
+    const time = date && typeof options.time === 'string' && SLOT_TIME_PATTERN.test(options.time)
+      ? options.time
+      : null;
+    const path = `${base}/${encodeURIComponent(username)}` +
+      (meetingType ? `/${meetingType}` : '') + (time ? '/book' : '');
+    const url = new URL(path);
+
+    // A date only makes sense on the schedule step of a specific meeting type
+    if (date) url.searchParams.append('date', date);
+    if (time) url.searchParams.append('time', time);
+    
+    // Build URL with customization params - STRICT ALLOWLIST
+    const ALLOWED_PARAMS = ['theme', 'primaryColor', 'locale'];
+
+    // The scheme at load time, so the page doesn't flash the other one
+    const colorScheme = resolveColorScheme(options);
+    if (colorScheme) url.searchParams.append('color-scheme', colorScheme);
+
+    if (validTimezone(options.timezone)) url.searchParams.append('timezone', options.timezone);
+    if (HOUR_CYCLES.indexOf(options.hourCycle) !== -1) url.searchParams.append('hour-cycle', options.hourCycle);
+    
+    ALLOWED_PARAMS.forEach(key => {
+      const val = options[key];
+      if (!val) return;
+
+      if (key === 'theme' && /^\d+$/.test(val)) {
+        url.searchParams.append('theme', val);
+      } else if (key === 'primaryColor' && /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(val)) {
+        url.searchParams.append('primary-color', val);
+      } else if (key === 'locale' && /^[a-z]{2}(-[a-zA-Z0-9]+)?$/.test(val)) {
+        url.searchParams.append('locale', val);
+      }
+    });
+
+    // Extra query parameters carried over from intercepted links
+    if (options.query && typeof options.query === 'object') {
+      Object.keys(options.query).forEach(key => {
+        const val = options.query[key];
+        if (typeof val === 'string' && !url.searchParams.has(key)) {
+          url.searchParams.append(key, val);
+        }
+      });
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Styles for everything embed.js draws around the booking page
+   *
+   * The chrome lives in shadow roots so host page CSS can't leak in. Hosts
+   * restyle it through the --tymeslot-* custom properties (they inherit into
+   * the shadow trees) and the ::part() names below.
+   */
+  const CHROME_CSS = `
+    :host { all: initial; }
+    :host([hidden]) { display: none; }
+    * { box-sizing: border-box; }
+
+    .widget { position: relative; width: 100%; height: 100%; min-height: inherit; }
+    .iframe {
+      display: block;
+      width: 100%;
+      border: none;
+      background: transparent;
+      transition: opacity 0.3s ease;
+    }
+    .loader {
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      font-family: var(--tymeslot-font, system-ui, sans-serif);
+      color: var(--tymeslot-text-muted, #64748b);
+    }
+    .spinner {
+      width: 40px;
+      height: 40px;
+      border: 3px solid #f3f3f3;
+      border-top-color: var(--tymeslot-loader-color, #14B8A6);
+      border-radius: 50%;
+      animation: tymeslot-spin 1s linear infinite;
+    }
+    .loading-text { margin-top: 12px; font-size: 14px; }
+    @keyframes tymeslot-spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
+
+    .error {
+      padding: 24px;
+      color: #991b1b;
+      background: #fef2f2;
+      border: 2px solid #fecaca;
+      border-radius: var(--tymeslot-radius, 12px);
+      text-align: center;
+      font-family: var(--tymeslot-font, system-ui, sans-serif);
+    }
+    .error p { margin: 8px 0 0; font-size: 14px; color: #b91c1c; }
+    .error a { color: inherit; font-weight: 600; }
+
+    .overlay {
+      position: fixed;
+      inset: 0;
+      background: var(--tymeslot-overlay, rgba(0, 0, 0, 0.75));
+      z-index: var(--tymeslot-z-index, 999999);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      opacity: 0;
+      transition: opacity 0.3s ease;
+    }
+    .overlay.open { opacity: 1; }
+    .dialog {
+      position: relative;
+      width: 100%;
+      max-width: var(--tymeslot-dialog-max-width, 1000px);
+      height: 90vh;
+      height: 90dvh;
+      max-height: 900px;
+      background: var(--tymeslot-dialog-bg, #fff);
+      border-radius: var(--tymeslot-radius, 16px);
+      overflow: hidden;
+      box-shadow: var(--tymeslot-dialog-shadow, 0 25px 50px -12px rgba(0, 0, 0, 0.5));
+      transform: scale(0.95);
+      transition: transform 0.3s ease;
+    }
+    .dialog:focus { outline: none; }
+    .overlay.open .dialog { transform: scale(1); }
+    .close {
+      position: absolute;
+      top: 16px;
+      right: 16px;
+      width: 40px;
+      height: 40px;
+      margin: 0;
+      padding: 0;
+      border: none;
+      background: var(--tymeslot-close-bg, rgba(0, 0, 0, 0.1));
+      color: var(--tymeslot-close-color, #333);
+      font: 32px/1 var(--tymeslot-font, system-ui, sans-serif);
+      border-radius: 50%;
+      cursor: pointer;
+      z-index: 10;
+      transition: all 0.2s ease;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    .close:hover { background: var(--tymeslot-close-hover-bg, rgba(0, 0, 0, 0.2)); transform: scale(1.1); }
+
+    /* Phones (MOBILE_BREAKPOINT): a full-screen sheet sliding up from the bottom */
+    @media (max-width: 640px) {
+      .overlay { padding: 0; align-items: stretch; }
+      .dialog {
+        max-width: none;
+        height: 100%;
+        max-height: none;
+        border-radius: 0;
+        box-shadow: none;
+        transform: translateY(32px);
+      }
+      .overlay.open .dialog { transform: none; }
+      .close {
+        top: calc(8px + env(safe-area-inset-top, 0px));
+        right: calc(8px + env(safe-area-inset-right, 0px));
+      }
+    }
+
+    .floating {
+      position: fixed;
+      bottom: var(--tymeslot-button-offset, var(--tymeslot-offset-y-default, 24px));
+      right: var(--tymeslot-button-offset, var(--tymeslot-offset-x-default, 24px));
+      width: var(--tymeslot-button-size, 64px);
+      height: var(--tymeslot-button-size, 64px);
+      margin: 0;
+      padding: 0;
+      border-radius: var(--tymeslot-button-radius, 50%);
+      background: var(--tymeslot-button-bg, var(--tymeslot-button-default, #14B8A6));
+      color: var(--tymeslot-button-color, #fff);
+      border: none;
+      cursor: pointer;
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.3);
+      z-index: calc(var(--tymeslot-z-index, 999999) - 1);
+      transition: all 0.3s ease;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    .floating:hover { transform: scale(1.1); box-shadow: 0 15px 35px rgba(0, 0, 0, 0.4); }
+    .floating.left {
+      right: auto;
+      left: var(--tymeslot-button-offset, var(--tymeslot-offset-x-default, 24px));
+    }
+    .floating.pill {
+      width: auto;
+      height: 56px;
+      padding: 0 22px 0 16px;
+      gap: 10px;
+      border-radius: var(--tymeslot-button-radius, 999px);
+      font: 600 15px/1 var(--tymeslot-font, system-ui, sans-serif);
+    }
+    .floating.pill:hover { transform: translateY(-2px); }
+    .floating-icon { width: 32px; height: 32px; flex-shrink: 0; }
+    .pill .floating-icon { width: 24px; height: 24px; }
+    .floating-icon.avatar { border-radius: 50%; object-fit: cover; }
+    .floating-label { white-space: nowrap; }
+
+    .slots {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      font: 500 14px/1.2 var(--tymeslot-font, system-ui, sans-serif);
+    }
+    .slot, .slots-more {
+      margin: 0;
+      padding: 10px 14px;
+      border: 1px solid var(--tymeslot-button-bg, #14B8A6);
+      border-radius: var(--tymeslot-radius, 8px);
+      background: transparent;
+      color: var(--tymeslot-button-bg, #14B8A6);
+      font: inherit;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    }
+    .slot:hover, .slot:focus-visible {
+      background: var(--tymeslot-button-bg, #14B8A6);
+      color: var(--tymeslot-button-color, #fff);
+    }
+    .slots-more { border-color: transparent; text-decoration: underline; }
+    .slots-empty { color: var(--tymeslot-text-muted, #64748b); align-self: center; }
+
+    @media (prefers-reduced-motion: reduce) {
+      .iframe, .overlay, .dialog, .close, .floating, .slot, .slots-more { transition: none; }
+      .dialog, .overlay.open .dialog, .close:hover, .floating:hover, .floating.pill:hover { transform: none; }
+    }
+  `;
+
+  // Parts of a widget that stay styleable when it sits inside the modal
+  const WIDGET_PARTS = 'widget, iframe, loader, spinner, loading-text, error';
+
+  /**
+   * Attach a shadow root with the chrome styles to a host element
+   */
+  function attachChrome(host) {
+    const root = host.attachShadow({ mode: 'open' });
+    adoptStyles(root, CHROME_CSS);
+    return root;
+  }
+
+  // Constructed stylesheets, one per stylesheet text, shared by all shadow roots
+  const constructedSheets = new Map();
+
+  /**
+   * Style a shadow root
+   *
+   * Constructed stylesheets aren't inline styles, so a nonce-only style-src
+   * doesn't apply to them. Browsers without them get a <style> element
+   * carrying the nonce (see styleNonce).
+   */
+  function adoptStyles(root, css) {
+    if ('adoptedStyleSheets' in root && window.CSSStyleSheet && 'replaceSync' in CSSStyleSheet.prototype) {
+      let sheet = constructedSheets.get(css);
+      if (!sheet) {
+        sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        constructedSheets.set(css, sheet);
+      }
+      root.adoptedStyleSheets = [sheet];
+      return;
+    }
+
+    const style = document.createElement('style');
+    if (styleNonce) style.nonce = styleNonce;
+    style.textContent = css;
+    root.appendChild(style);
+  }
+
+  /**
+   * Take the nonce option for <style> elements from here on
+   */
+  function useNonce(options) {
+    if (options && typeof options.nonce === 'string' && options.nonce) styleNonce = options.nonce;
+  }
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Icon markup, parsed through the Trusted Types policy below
+  const ICONS = {
+    calendar: '<svg xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">' +
+      '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"/>' +
+      '</svg>'
+  };
+
+  /**
+   * The "tymeslot" Trusted Types policy
+   *
+   * embed.js never writes HTML into the page; the only markup it parses is
+   * its own icons, and the policy refuses anything else. Null where Trusted
+   * Types aren't supported, or when the host's trusted-types directive
+   * doesn't allow the name.
+   */
+  const trustedPolicy = (() => {
+    if (!window.trustedTypes || typeof window.trustedTypes.createPolicy !== 'function') return null;
+
+    const icons = Object.keys(ICONS).map(name => ICONS[name]);
+    try {
+      return window.trustedTypes.createPolicy('tymeslot', {
+        createHTML: markup => {
+          if (icons.indexOf(markup) === -1) throw new TypeError('Tymeslot: Refusing markup that is not an icon');
+          return markup;
+        }
+      });
+    } catch (e) {
+      console.error("Tymeslot: Trusted Types policy 'tymeslot' is not allowed; icons are skipped");
+      return null;
+    }
+  })();
+
+  /**
+   * An icon as an SVG element with a ::part() name, or null if the page's
+   * Trusted Types rules won't let it be parsed
+   */
+  function iconElement(name, part) {
+    try {
+      const markup = trustedPolicy ? trustedPolicy.createHTML(ICONS[name]) : ICONS[name];
+      const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+      if (doc.documentElement.namespaceURI !== SVG_NS) return null;
+
+      const svg = document.importNode(doc.documentElement, true);
+      svg.setAttribute('class', part);
+      svg.setAttribute('part', part);
+      return svg;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Create an element with a class and a ::part() name
+   */
+  function chromeElement(tag, name) {
+    const el = document.createElement(tag);
+    el.className = name;
+    el.setAttribute('part', name);
+    return el;
+  }
+
+  /**
+   * The innermost focused element, looking through shadow roots
+   */
+  function deepActiveElement() {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) {
+      el = el.shadowRoot.activeElement;
+    }
+    return el;
+  }
+
+  /**
+   * Create an iframe for embedding
+   *
+   * Returns the host element; the iframe and loader live in its shadow root
+   * and the iframe is also kept on wrapper.iframe.
+   */
+  function createBookingIframe(username, options = {}) {
+    const iframe = chromeElement('iframe', 'iframe');
+    iframe.src = bookingUrl(username, options);
+    iframe.style.minHeight = '700px';
+    iframe.style.opacity = '0';
+    iframe.setAttribute('scrolling', 'auto');
+    iframe.setAttribute('allow', 'payment');
+    iframe.setAttribute('title', 'Booking Widget');
+
+    const prefill = normalizePrefill(options.prefill);
+    if (prefill) iframePrefill.set(iframe, prefill);
+
+    const redirect = normalizeRedirect(options.onConfirmedRedirect);
+    if (redirect) iframeRedirect.set(iframe, redirect);
+
+    // The booking page reads its channel from the frame name (see PROTOCOL_VERSION)
+    const channel = channelId();
+    iframeChannels.set(iframe, channel);
+    iframe.name = CHANNEL_PREFIX + PROTOCOL_VERSION + ':' + channel;
+
+    // Create wrapper for loading state
+    const wrapper = document.createElement('div');
+    wrapper.className = 'tymeslot-widget';
+    wrapper.setAttribute('exportparts', WIDGET_PARTS);
+    wrapper.style.display = 'block';
+    wrapper.style.width = '100%';
+    wrapper.style.minHeight = '700px';
+
+    const root = attachChrome(wrapper);
+    const widget = chromeElement('div', 'widget');
+
+    const loader = chromeElement('div', 'loader');
+    const spinner = chromeElement('div', 'spinner');
+    const loadingText = chromeElement('span', 'loading-text');
+    loadingText.textContent = 'Loading booking page...';
+    
+    loader.appendChild(spinner);
+    loader.appendChild(loadingText);
+    widget.appendChild(loader);
+    root.appendChild(widget);
+
+    // Add loading timeout
+    let retryCount = 0;
+    const maxRetries = 2;
+    const TIMEOUT_MS = 15000;
+
+    let settled = false;
+    let readyTimer = null;
+
+    // Replace the booking page with a fallback and tell the host why
+    const fail = (status) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      clearTimeout(readyTimer);
+
+      const locale = fallbackLocale(options.locale);
+      const messages = FALLBACK_MESSAGES[locale][status];
+      const detail = { status: status, message: messages[0] };
+
+      // Emit while the iframe is still attached, so the event finds its container
+      emitLifecycleEvent(iframe, 'error', detail);
+      if (typeof options.onError === 'function') {
+        try {
+          options.onError(detail);
+        } catch (err) {
+          console.error('Tymeslot: Error in onError callback:', err);
+        }
+      }
+
+      showError(widget, loader.parentNode ? loader : null, status, locale, bookingUrl(username, options));
+      if (iframe.parentNode) iframe.remove();
+    };
+
+    const handleTimeout = () => {
+      if (wrapper.parentNode && !iframe.dataset.loaded) {
+        if (retryCount < maxRetries) {
+          retryCount++;
+          const currentUrl = new URL(iframe.src);
+          currentUrl.searchParams.set('_retry', retryCount);
+          iframe.src = currentUrl.toString();
+          timeout = setTimeout(handleTimeout, TIMEOUT_MS);
+        } else {
+          fail('timeout');
+        }
+      }
+    };
+
+    let timeout = setTimeout(handleTimeout, TIMEOUT_MS);
+
+    // Lets instances stop pending retries when they're destroyed or reloaded
+    wrapper.cancelTimers = () => {
+      clearTimeout(timeout);
+      clearTimeout(readyTimer);
+    };
+
+    // onload fires for error pages and blocked frames too; the page is only
+    // shown once it reports status 'ok' in its ready message
+    iframe.onload = () => {
+      iframe.dataset.loaded = 'true';
+      clearTimeout(timeout);
+      if (!settled && !readyTimer) {
+        readyTimer = setTimeout(() => fail('domain_not_allowed'), READY_TIMEOUT_MS);
+      }
+    };
+
+    wrapper.handleReady = (status) => {
+      if (settled) return;
+
+      if (status !== 'ok') {
+        fail(READY_STATUSES.indexOf(status) !== -1 ? status : 'error');
+        return;
+      }
+
+      settled = true;
+      wrapper.ready = true;
+      clearTimeout(timeout);
+      clearTimeout(readyTimer);
+      iframe.style.opacity = '1';
+      if (loader.parentNode) loader.remove();
+    };
+    
+    widget.appendChild(iframe);
+    wrapper.iframe = iframe;
+    return wrapper;
+  }
+
+  /**
+   * Show error message in container
+   *
+   * status picks the message (see FALLBACK_MESSAGES); link, when given, is
+   * offered for statuses where booking on the Tymeslot page still works.
+   */
+  function showError(container, elementToReplace, status = 'timeout', locale = null, link = null) {
+    const messages = FALLBACK_MESSAGES[fallbackLocale(locale)][status] || FALLBACK_MESSAGES.en.error;
+    const error = chromeElement('div', 'error');
+    error.setAttribute('role', 'alert');
+    error.dataset.status = status;
+    
+    const title = document.createElement('strong');
+    title.textContent = messages[0];
+    
+    const subtext = document.createElement('p');
+    subtext.textContent = messages[1];
+    
+    error.appendChild(title);
+    error.appendChild(subtext);
+
+    if (link && messages[2]) {
+      const anchor = document.createElement('a');
+      anchor.href = link;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener';
+      anchor.textContent = messages[2];
+      subtext.appendChild(document.createTextNode(' '));
+      subtext.appendChild(anchor);
+    }
+    
+    if (elementToReplace && elementToReplace.parentNode === container) {
+      container.replaceChild(error, elementToReplace);
+    } else {
+      // Outside a widget (e.g. the public showError), give the message its
+      // own shadow root
+      const host = document.createElement('div');
+      attachChrome(host).appendChild(error);
+      container.replaceChildren(host);
+    }
+  }
+
+  /**
+   * Create modal overlay
+   *
+   * modal is the light DOM host; the overlay, dialog box and close button
+   * live in its shadow root.
+   */
+  function createModal() {
+    const modal = document.createElement('div');
+    modal.id = 'tymeslot-modal';
+    modal.setAttribute('exportparts', WIDGET_PARTS);
+    const root = attachChrome(modal);
+
+    const overlay = chromeElement('div', 'overlay');
+    
+    const container = chromeElement('div', 'dialog');
+    container.setAttribute('role', 'dialog');
+    container.setAttribute('aria-modal', 'true');
+    container.setAttribute('aria-label', 'Book a meeting');
+    container.tabIndex = -1;
+    
+    const closeButton = chromeElement('button', 'close');
+    closeButton.setAttribute('part', 'close-button');
+    closeButton.type = 'button';
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', 'Close booking widget');
+    
+    closeButton.onclick = function() {
+      TymeslotBooking.close();
+    };
+    
+    overlay.onclick = function(e) {
+      if (e.target === overlay) {
+        TymeslotBooking.close();
+      }
+    };
+    
+    container.appendChild(closeButton);
+    overlay.appendChild(container);
+    root.appendChild(overlay);
+    
+    // Animate in
+    setTimeout(() => {
+      overlay.classList.add('open');
+    }, 10);
+    
+    modal.overlay = overlay;
+    modal.dialog = container;
+    modal.closeButton = closeButton;
+
+    return { modal, container };
+  }
+
+  /**
+   * Keep the overlay to the visual viewport, so the on-screen keyboard
+   * shrinks the popup instead of covering the booking form
+   */
+  function fitToVisualViewport(modal) {
+    const viewport = window.visualViewport;
+    if (!viewport) return;
+
+    const fit = () => {
+      modal.overlay.style.top = viewport.offsetTop + 'px';
+      modal.overlay.style.bottom = 'auto';
+      modal.overlay.style.height = viewport.height + 'px';
+    };
+
+    fit();
+    viewport.addEventListener('resize', fit);
+    viewport.addEventListener('scroll', fit);
+    modal.viewportHandler = fit;
+  }
+
+  // Marks the history entry an open popup added (see pushPopupHistory)
+  const POPUP_HISTORY_KEY = 'tymeslotPopup';
+
+  // Whether the current history entry belongs to the open popup
+  let popupHistoryEntry = false;
+
+  /**
+   * Add a history entry for the popup, so Back (the Android back button or
+   * a swipe) closes it instead of leaving the page
+   *
+   * The entry keeps the page's URL and its state, with a marker added, so
+   * single-page routers see the route they're already on.
+   */
+  function pushPopupHistory() {
+    if (popupHistoryEntry || !window.history || typeof window.history.pushState !== 'function') return;
+
+    const state = window.history.state && typeof window.history.state === 'object' ? window.history.state : {};
+    try {
+      window.history.pushState(Object.assign({}, state, { [POPUP_HISTORY_KEY]: true }), '');
+      popupHistoryEntry = true;
+    } catch (e) {
+      // Sandboxed frames may not touch history; Back just won't close the popup
+    }
+  }
+
+  /**
+   * Remove the popup's history entry when it's closed some other way
+   */
+  function popPopupHistory() {
+    if (!popupHistoryEntry) return;
+    popupHistoryEntry = false;
+
+    const state = window.history.state;
+    if (state && typeof state === 'object' && state[POPUP_HISTORY_KEY]) window.history.back();
+  }
+
+  // Back moved off the popup's entry: the entry is gone, so only close
+  window.addEventListener('popstate', function(e) {
+    if (!popupHistoryEntry) return;
+    if (e.state && typeof e.state === 'object' && e.state[POPUP_HISTORY_KEY]) return;
+
+    popupHistoryEntry = false;
+    TymeslotBooking.close();
+  });
+
+  /**
+   * Whether the visitor asked the OS to minimise animations
+   */
+  function prefersReducedMotion() {
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  /**
+   * Make everything outside the modal inert so assistive tech and Tab
+   * can't reach the page behind it
+   */
+  function inertBackground(modal) {
+    modal.inertSiblings = [];
+
+    Array.from(document.body.children).forEach(el => {
+      if (el === modal || el.inert || el.tagName === 'SCRIPT') return;
+      el.inert = true;
+      el.setAttribute('aria-hidden', 'true');
+      modal.inertSiblings.push(el);
+    });
+  }
+
+  /**
+   * Undo inertBackground()
+   */
+  function restoreBackground(modal) {
+    (modal.inertSiblings || []).forEach(el => {
+      el.inert = false;
+      el.removeAttribute('aria-hidden');
+    });
+    modal.inertSiblings = [];
+  }
+
+  /**
+   * Keep Tab and Shift+Tab cycling between the close button and the iframe.
+   * Focus inside the cross-origin iframe is handled by the browser; this
+   * catches it when it leaves the iframe or the dialog.
+   */
+  function trapFocus(modal, currentIframe) {
+    const focusable = () => [modal.closeButton, currentIframe()].filter(Boolean);
+
+    modal.focusTrapHandler = (e) => {
+      if (e.key !== 'Tab') return;
+
+      const elements = focusable();
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      const active = deepActiveElement();
+
+      if (e.shiftKey && active === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    modal.focusInHandler = (e) => {
+      if (!modal.contains(e.target)) {
+        const elements = focusable();
+        (elements[elements.length - 1] || modal.dialog).focus();
+      }
+    };
+
+    document.addEventListener('keydown', modal.focusTrapHandler);
+    document.addEventListener('focusin', modal.focusInHandler);
+  }
+
+  /**
+   * Animate a modal out and restore the page behind it
+   */
+  function removeModal(modal) {
+    modal.overlay.classList.remove('open');
+
+    if (modal.escapeHandler) {
+      document.removeEventListener('keydown', modal.escapeHandler);
+    }
+    if (modal.focusTrapHandler) {
+      document.removeEventListener('keydown', modal.focusTrapHandler);
+      document.removeEventListener('focusin', modal.focusInHandler);
+    }
+    if (modal.viewportHandler) {
+      window.visualViewport.removeEventListener('resize', modal.viewportHandler);
+      window.visualViewport.removeEventListener('scroll', modal.viewportHandler);
+    }
+
+    // Restore the page and the trigger's focus right away so keyboard users
+    // aren't left on a fading dialog
+    restoreBackground(modal);
+    const trigger = modal.previousFocus;
+    if (trigger && trigger.isConnected && typeof trigger.focus === 'function') {
+      trigger.focus();
+    }
+
+    setTimeout(() => {
+      modal.remove();
+      document.body.style.overflow = modal.previousBodyOverflow || '';
+    }, prefersReducedMotion() ? 0 : 300);
+  }
+
+  const FLOATING_LABEL_MAX_LENGTH = 40;
+  const MOBILE_BREAKPOINT = 640;
+
+  /**
+   * Resolve an icon or avatar option to an http(s) or data:image URL
+   */
+  function imageUrl(value) {
+    if (typeof value !== 'string' || value === '') return null;
+    if (/^data:image\/(png|jpe?g|gif|webp);/i.test(value)) return value;
+
+    try {
+      const url = new URL(value, window.location.href);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Non-negative pixel offset from an option, or null
+   */
+  function pixelOffset(value) {
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) return null;
+    return Math.round(value) + 'px';
+  }
+
+  /**
+   * Create floating button
+   *
+   * Returns the light DOM host; the button itself lives in its shadow root.
+   *
+   * Options: position ('right' or 'left'), offsetX/offsetY (px), label (turns
+   * the circle into a pill), icon or avatar (image URL, avatar is cropped
+   * round) and buttonColor.
+   */
+  function createFloatingButton(username, options = {}) {
+    const host = document.createElement('div');
+    host.id = 'tymeslot-floating-button';
+    const root = attachChrome(host);
+
+    const label = typeof options.label === 'string'
+      ? options.label.trim().slice(0, FLOATING_LABEL_MAX_LENGTH)
+      : '';
+
+    const button = chromeElement('button', 'floating');
+    button.setAttribute('part', 'floating-button');
+    button.type = 'button';
+    button.setAttribute('aria-label', label || 'Book a meeting');
+    button.setAttribute('aria-haspopup', 'dialog');
+    if (options.position === 'left') button.classList.add('left');
+    if (label) button.classList.add('pill');
+    
+    // Options are the defaults; --tymeslot-* properties on the host page win
+    const buttonColor = options.buttonColor;
+    if (buttonColor && window.CSS && CSS.supports('color', buttonColor)) {
+      button.style.setProperty('--tymeslot-button-default', buttonColor);
+    }
+
+    const offsetX = pixelOffset(options.offsetX);
+    const offsetY = pixelOffset(options.offsetY);
+    if (offsetX) button.style.setProperty('--tymeslot-offset-x-default', offsetX);
+    if (offsetY) button.style.setProperty('--tymeslot-offset-y-default', offsetY);
+
+    const image = imageUrl(options.avatar) || imageUrl(options.icon);
+    if (image) {
+      const img = chromeElement('img', 'floating-icon');
+      img.src = image;
+      img.alt = '';
+      if (imageUrl(options.avatar)) img.classList.add('avatar');
+      button.appendChild(img);
+    } else {
+      const icon = iconElement('calendar', 'floating-icon');
+      if (icon) button.appendChild(icon);
+    }
+
+    if (label) {
+      const text = chromeElement('span', 'floating-label');
+      text.textContent = label;
+      button.appendChild(text);
+    }
+    
+    const warm = () => prewarm(username, options);
+    button.addEventListener('mouseenter', warm);
+    button.addEventListener('touchstart', warm, { passive: true });
+    button.addEventListener('focus', warm);
+    
+    button.onclick = function() {
+      openFromFloating(username, options);
+    };
+    
+    root.appendChild(button);
+    return host;
+  }
+
+  /**
+   * Whether a path matches one of the hideOnPaths patterns
+   *
+   * Patterns are exact paths, or prefixes when they end in '*'.
+   */
+  function pathMatches(path, patterns) {
+    return patterns.some(pattern => {
+      if (typeof pattern !== 'string' || pattern === '') return false;
+      return pattern.endsWith('*') ? path.startsWith(pattern.slice(0, -1)) : path === pattern;
+    });
+  }
+
+  /**
+   * Show or hide the floating button per hideOnMobile / hideOnPaths
+   *
+   * Re-checked on resize and on history navigation so single-page apps
+   * don't have to reinitialise. onShown runs on each check that leaves it
+   * visible. Returns a cleanup function.
+   */
+  function watchFloatingVisibility(host, options, onShown) {
+    const paths = Array.isArray(options.hideOnPaths) ? options.hideOnPaths : [];
+    const mobile = options.hideOnMobile && window.matchMedia
+      ? window.matchMedia(`(max-width: ${MOBILE_BREAKPOINT - 1}px)`)
+      : null;
+
+    const update = () => {
+      host.hidden = !!(mobile && mobile.matches) || pathMatches(window.location.pathname, paths);
+      if (!host.hidden && onShown) onShown();
+    };
+
+    update();
+    if (mobile) mobile.addEventListener('change', update);
+    window.addEventListener('popstate', update);
+
+    return () => {
+      if (mobile) mobile.removeEventListener('change', update);
+      window.removeEventListener('popstate', update);
+    };
+  }
+
+  /**
+   * Read and write the auto-open frequency cap
+   *
+   * localStorage can throw (privacy modes, sandboxed frames); then the cap
+   * simply isn't enforced across page loads.
+   */
+  function autoOpenStorageKey(username) {
+    return 'tymeslot:auto-open:' + username;
+  }
+
+  function autoOpenCapped(username, frequencyDays) {
+    try {
+      const last = Number(window.localStorage.getItem(autoOpenStorageKey(username)));
+      return !!last && Date.now() - last < frequencyDays * 24 * 60 * 60 * 1000;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function recordAutoOpen(username) {
+    try {
+      window.localStorage.setItem(autoOpenStorageKey(username), String(Date.now()));
+    } catch (e) {
+      // Cap not persisted; see above
+    }
+  }
+
+  /**
+   * Open the popup automatically after a delay, at a scroll depth or on exit
+   * intent, whichever comes first
+   *
+   * autoOpen: { delay: seconds, scrollDepth: percent, exitIntent: true,
+   * frequencyDays: 1 }. It fires at most once per page and once per
+   * frequencyDays (0 for every page load). Returns a cleanup function.
+   */
+  function watchAutoOpen(host, username, options) {
+    const autoOpen = options.autoOpen;
+    if (!autoOpen || typeof autoOpen !== 'object') return () => {};
+
+    const frequencyDays = typeof autoOpen.frequencyDays === 'number' ? autoOpen.frequencyDays : 1;
+    if (frequencyDays > 0 && autoOpenCapped(username, frequencyDays)) return () => {};
+
+    let timer = null;
+
+    const trigger = () => {
+      cleanup();
+      if (host.hidden || activePopup) return;
+
+      if (frequencyDays > 0) recordAutoOpen(username);
+      openFromFloating(username, options);
+    };
+
+    const onScroll = () => {
+      const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+      const depth = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+      if (depth >= autoOpen.scrollDepth) trigger();
+    };
+
+    const onMouseOut = (e) => {
+      if (!e.relatedTarget && e.clientY <= 0) trigger();
+    };
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      window.removeEventListener('scroll', onScroll);
+      document.removeEventListener('mouseout', onMouseOut);
+    };
+
+    if (typeof autoOpen.delay === 'number' && autoOpen.delay >= 0) {
+      timer = setTimeout(trigger, autoOpen.delay * 1000);
+    }
+    if (typeof autoOpen.scrollDepth === 'number' && autoOpen.scrollDepth > 0) {
+      window.addEventListener('scroll', onScroll, { passive: true });
+    }
+    if (autoOpen.exitIntent) {
+      document.addEventListener('mouseout', onMouseOut);
+    }
+
+    return cleanup;
+  }
+
+  // Instance per inline container, so re-embedding replaces instead of stacking
+  const containerInstances = new WeakMap();
+
+  // The open popup, if any
+  let activePopup = null;
+
+  // The floating button's handle, if any
+  let floatingButton = null;
+
+  // What the next popup counts as in funnel analytics
+  let popupEmbedType = 'popup';
+
+  /**
+   * Open the popup for the floating button
+   */
+  function openFromFloating(username, options) {
+    popupEmbedType = 'floating';
+    try {
+      return TymeslotBooking.open(username, options);
+    } finally {
+      popupEmbedType = 'popup';
+    }
+  }
+
+  /**
+   * Build the iframe for an instance and place it in its container
+   */
+  function mountWidget(instance) {
+    const wrapper = createBookingIframe(instance.username, instance.options);
+    const iframe = wrapper.iframe;
+
+    if (instance.mode === 'popup') {
+      iframe.dataset.fixedHeight = 'true';
+      iframe.style.height = '100%';
+      iframe.style.minHeight = '0';
+
+      wrapper.style.height = '100%';
+      wrapper.style.minHeight = '0';
+    } else {
+      instance.container.replaceChildren();
+    }
+
+    instance.container.appendChild(wrapper);
+    instance.wrapper = wrapper;
+    instance.iframe = iframe;
+  }
+
+  /**
+   * Remove an instance's iframe and stop its pending timers
+   */
+  function unmountWidget(instance) {
+    if (!instance.wrapper) return;
+
+    instance.wrapper.cancelTimers();
+    instance.wrapper.remove();
+    instance.wrapper = null;
+    instance.iframe = null;
+  }
+
+  /**
+   * Create an embed handle
+   *
+   * Handles are returned by embed() and open() and kept in the registry
+   * until destroy() or destroyAll().
+   */
+  function createInstance(container, username, options, mode) {
+    useNonce(options);
+    const instance = {
+      username: username,
+      options: Object.assign({}, options),
+      mode: mode,
+      container: container,
+      wrapper: null,
+      iframe: null,
+      destroyed: false,
+      observer: null,
+      teardown: null,
+      colorScheme: null,
+      embedType: mode === 'popup' ? popupEmbedType : mode,
+
+      /**
+       * Recreate the booking iframe with the current options
+       */
+      reload: function() {
+        // Not mounted yet; the new options apply when it scrolls into view
+        if (this.destroyed || this.observer) return this;
+
+        unmountWidget(this);
+        mountWidget(this);
+        return this;
+      },
+
+      /**
+       * Merge new options and reload
+       *
+       * Changes limited to LIVE_OPTIONS are sent to a booking page that is
+       * already showing instead of reloading it.
+       */
+      update: function(options) {
+        if (this.destroyed) return this;
+
+        const changes = options || {};
+        Object.assign(this.options, changes);
+
+        const keys = Object.keys(changes);
+        const live = keys.length > 0 && keys.every(key => LIVE_OPTIONS.indexOf(key) !== -1);
+        if (live && this.wrapper && this.wrapper.ready) {
+          const prefill = normalizePrefill(this.options.prefill);
+          if (prefill) iframePrefill.set(this.iframe, prefill);
+
+          const redirect = normalizeRedirect(this.options.onConfirmedRedirect);
+          if (redirect) {
+            iframeRedirect.set(this.iframe, redirect);
+          } else {
+            iframeRedirect.delete(this.iframe);
+          }
+
+          if ('primaryColor' in changes) sendTheme(this.iframe, { primaryColor: this.options.primaryColor || null });
+          if ('colorScheme' in changes || 'colorSchemeClass' in changes) {
+            this.colorScheme = resolveColorScheme(this.options);
+            sendTheme(this.iframe, { colorScheme: this.colorScheme });
+            if (this.options.colorScheme === 'auto') watchColorScheme();
+          }
+          if ('branding' in changes || 'brandingSelector' in changes) sendBranding(this);
+          if ('prefill' in changes) sendPrefill(this.iframe);
+          // { url: null } drops an earlier override on the booking page
+          if ('onConfirmedRedirect' in changes) postToIframe(this.iframe, 'redirect', redirect || { url: null });
+          return this;
+        }
+
+        return this.reload();
+      },
+
+      /**
+       * Remove the iframe, its timers and any popup chrome
+       */
+      destroy: function() {
+        if (this.destroyed) return;
+
+        this.destroyed = true;
+        if (this.observer) {
+          this.observer.disconnect();
+          this.observer = null;
+        }
+        unmountWidget(this);
+        instances.delete(this);
+        if (this.teardown) this.teardown();
+      }
+    };
+
+    instances.add(instance);
+    if (instance.options.colorScheme === 'auto') watchColorScheme();
+
+    if (mode === 'inline' && instance.options.loading === 'lazy' && 'IntersectionObserver' in window) {
+      mountWhenVisible(instance);
+    } else {
+      mountWidget(instance);
+    }
+
+    return instance;
+  }
+
+  /**
+   * Defer mounting until the container nears the viewport
+   */
+  function mountWhenVisible(instance) {
+    instance.observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+
+      instance.observer.disconnect();
+      instance.observer = null;
+      mountWidget(instance);
+    }, { rootMargin: '200px 0px' });
+
+    instance.observer.observe(instance.container);
+  }
+
+  /**
+   * Embed inline into a container, replacing an earlier embed there
+   */
+  function createInline(container, username, options) {
+    const existing = containerInstances.get(container);
+    if (existing) existing.destroy();
+
+    const instance = createInstance(container, username, options, 'inline');
+    instance.teardown = () => {
+      if (containerInstances.get(container) === instance) containerInstances.delete(container);
+    };
+    containerInstances.set(container, instance);
+    return instance;
+  }
+
+  const INLINE_SELECTOR = '#tymeslot-booking, [data-tymeslot-inline]';
+
+  /**
+   * Initialize inline embeds on page load, or within a subtree added later
+   *
+   * Containers that already have an instance are left alone.
+   */
+  function initInlineEmbeds(root = document) {
+    const containers = Array.from(root.querySelectorAll(INLINE_SELECTOR));
+    if (root.matches && root.matches(INLINE_SELECTOR)) containers.unshift(root);
+    
+    containers.forEach(container => {
+      if (containerInstances.has(container)) return;
+
+      const username = container.getAttribute('data-username') || 
+                      container.getAttribute('data-tymeslot-inline');
+      
+      if (!username) {
+        console.error('Tymeslot: No username provided for inline embed');
+        return;
+      }
+      
+      const options = optionsFromAttributes(container);
+      options.loading = container.getAttribute('data-loading');
+      
+      createInline(container, username, options);
+    });
+  }
+
+  let inlineObserver = null;
+
+  /**
+   * Watch the page for inline containers added or removed after load
+   *
+   * Added containers are initialized once; instances whose container left
+   * the document are destroyed so their timers and listeners go with them.
+   */
+  function observeInlineEmbeds() {
+    if (inlineObserver || !window.MutationObserver || !document.body) return;
+
+    inlineObserver = new MutationObserver((mutations) => {
+      let removed = false;
+
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            initInlineEmbeds(node);
+            initSlotsWidgets(node);
+          }
+        });
+        if (mutation.removedNodes.length > 0) removed = true;
+      });
+
+      if (removed) {
+        Array.from(instances).forEach(instance => {
+          if (instance.mode === 'inline' && !instance.container.isConnected) instance.destroy();
+        });
+      }
+    });
+
+    inlineObserver.observe(document.body, { childList: true, subtree: true });
+  }
+
+  const SLOTS_SELECTOR = '[data-tymeslot-slots]';
+  const SLOTS_DEFAULT_COUNT = 3;
+  const SLOTS_MAX_COUNT = 10;
+
+  // Labels for the slots widget, per locale: more times, nothing open soon
+  const SLOTS_MESSAGES = {
+    en: ['More times', 'No open times in the coming weeks.'],
+    de: ['Weitere Zeiten', 'In den nächsten Wochen sind keine Termine frei.'],
+    fr: ['Plus de créneaux', 'Aucun créneau libre dans les prochaines semaines.'],
+    uk: ['Інший час', 'Найближчими тижнями вільного часу немає.']
+  };
+
+  // Containers whose slots widget has been rendered
+  const slotsContainers = new WeakSet();
+
+  /**
+   * Render slots widgets on page load, or within a subtree added later
+   *
+   *   <div data-tymeslot-slots="sarah" data-meeting-type="30-min-demo" data-count="3"></div>
+   */
+  function initSlotsWidgets(root = document) {
+    const containers = Array.from(root.querySelectorAll(SLOTS_SELECTOR));
+    if (root.matches && root.matches(SLOTS_SELECTOR)) containers.unshift(root);
+
+    containers.forEach(container => {
+      if (slotsContainers.has(container)) return;
+      slotsContainers.add(container);
+
+      const username = container.getAttribute('data-tymeslot-slots');
+      const options = optionsFromAttributes(container);
+      if (!username || !meetingTypeSlug(options.meetingType)) {
+        console.error('Tymeslot: Slots widgets need a username and data-meeting-type');
+        return;
+      }
+
+      options.count = container.getAttribute('data-count');
+      renderSlots(container, username, options);
+    });
+  }
+
+  /**
+   * URL of the next free slots of a meeting type, in the visitor's timezone
+   */
+  function slotsUrl(username, options) {
+    const url = new URL(`${BASE_URL}/api/embed/slots/${encodeURIComponent(username)}/${meetingTypeSlug(options.meetingType)}`);
+    const timezone = validTimezone(options.timezone)
+      ? options.timezone
+      : Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const count = parseInt(options.count, 10);
+
+    url.searchParams.append('count', String(count > 0 ? Math.min(count, SLOTS_MAX_COUNT) : SLOTS_DEFAULT_COUNT));
+    if (validTimezone(timezone)) url.searchParams.append('timezone', timezone);
+    return url.toString();
+  }
+
+  /**
+   * Fetch the next free slots and render them as buttons in the host page
+   *
+   * Each slot opens the popup on that slot's details form; "More times"
+   * opens it on the meeting type's calendar. If the slots can't be loaded
+   * (offline, or a host missing from the embed allowlist) only that button
+   * is shown.
+   */
+  function renderSlots(container, username, options) {
+    const host = document.createElement('div');
+    host.className = 'tymeslot-slots';
+    const root = attachChrome(host);
+    const list = chromeElement('div', 'slots');
+    list.setAttribute('role', 'group');
+    root.appendChild(list);
+    container.appendChild(host);
+
+    const messages = SLOTS_MESSAGES[fallbackLocale(options.locale)] || SLOTS_MESSAGES.en;
+    const warm = () => prewarm(username, options);
+
+    const addButton = (name, label, slotOptions) => {
+      const button = chromeElement('button', name);
+      button.type = 'button';
+      button.textContent = label;
+      button.setAttribute('aria-haspopup', 'dialog');
+      button.addEventListener('mouseenter', warm);
+      button.addEventListener('focus', warm);
+      button.onclick = () => TymeslotBooking.open(username, Object.assign({}, options, slotOptions));
+      list.appendChild(button);
+    };
+
+    const render = (data) => {
+      const slots = data && Array.isArray(data.slots) ? data.slots : [];
+      const locale = typeof options.locale === 'string' && /^[a-z]{2}(-[a-zA-Z0-9]+)?$/.test(options.locale)
+        ? options.locale
+        : undefined;
+      const format = new Intl.DateTimeFormat(locale, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: data && validTimezone(data.timezone) ? data.timezone : undefined,
+        hourCycle: HOUR_CYCLES.indexOf(options.hourCycle) !== -1 ? options.hourCycle : undefined
+      });
+
+      slots.forEach(slot => {
+        if (typeof slot.date !== 'string' || typeof slot.time !== 'string' || typeof slot.start !== 'string') return;
+
+        // The booking page reads the slot in the timezone it was found in
+        addButton('slot', format.format(new Date(slot.start)), {
+          date: slot.date,
+          time: slot.time,
+          timezone: data.timezone
+        });
+      });
+
+      if (data && slots.length === 0) {
+        const empty = chromeElement('span', 'slots-empty');
+        empty.textContent = messages[1];
+        list.appendChild(empty);
+      }
+
+      addButton('slots-more', messages[0], {});
+    };
+
+    fetch(slotsUrl(username, options), { credentials: 'omit' })
+      .then(response => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then(render);
+  }
+
+  /**
+   * Widget options from an element's data-* attributes
+   */
+  function optionsFromAttributes(el) {
+    return {
+      theme: el.getAttribute('data-theme'),
+      primaryColor: el.getAttribute('data-primary-color'),
+      colorScheme: el.getAttribute('data-color-scheme'),
+      colorSchemeClass: el.getAttribute('data-color-scheme-class'),
+      branding: el.getAttribute('data-branding'),
+      brandingSelector: el.getAttribute('data-branding-selector'),
+      locale: el.getAttribute('data-locale'),
+      timezone: el.getAttribute('data-timezone'),
+      hourCycle: el.getAttribute('data-hour-cycle'),
+      meetingType: el.getAttribute('data-meeting-type'),
+      date: el.getAttribute('data-date'),
+      prefill: {
+        name: el.getAttribute('data-prefill-name'),
+        email: el.getAttribute('data-prefill-email'),
+        notes: el.getAttribute('data-prefill-notes')
+      },
+      onConfirmedRedirect: redirectFromAttributes(
+        el.getAttribute('data-confirmed-redirect'),
+        el.getAttribute('data-confirmed-redirect-details')
+      )
+    };
+  }
+
+  /**
+   * The data-tymeslot-popup trigger an event happened in, if any
+   */
+  function popupTrigger(e) {
+    const target = e.target;
+    if (!target || typeof target.closest !== 'function') return null;
+
+    const trigger = target.closest('[data-tymeslot-popup]');
+    return trigger && trigger.getAttribute('data-tymeslot-popup') ? trigger : null;
+  }
+
+  /**
+   * Declarative popup triggers
+   *
+   * Delegated from the document, so triggers added after load work too and
+   * no inline onclick (blocked under a strict CSP) is needed.
+   */
+  document.addEventListener('click', function(e) {
+    const trigger = popupTrigger(e);
+    if (!trigger) return;
+
+    e.preventDefault();
+    TymeslotBooking.open(trigger.getAttribute('data-tymeslot-popup'), optionsFromAttributes(trigger));
+  });
+
+  ['mouseover', 'focusin', 'touchstart'].forEach(type => {
+    document.addEventListener(type, function(e) {
+      const trigger = popupTrigger(e);
+      if (trigger) prewarm(trigger.getAttribute('data-tymeslot-popup'), optionsFromAttributes(trigger));
+    }, { passive: true });
+  });
+
+  // Link query parameters that map onto widget options
+  const LINK_OPTION_PARAMS = { 'theme': 'theme', 'locale': 'locale', 'primary-color': 'primaryColor', 'date': 'date' };
+
+  // Top-level routes on the Tymeslot origin that aren't booking pages
+  const NON_BOOKING_PATHS = ['auth', 'dashboard', 'onboarding', 'webhooks', 'healthcheck', 'email-change'];
+
+  /**
+   * Parse an anchor pointing at a booking page (/username or
+   * /username/meeting-type) on the Tymeslot origin
+   *
+   * Returns { username, options } or null for anything else.
+   */
+  function bookingLink(anchor) {
+    let url;
+    try {
+      url = new URL(anchor.href);
+    } catch (e) {
+      return null;
+    }
+    if (url.origin !== BASE_URL) return null;
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    if (segments.length < 1 || segments.length > 2) return null;
+
+    const username = segments[0];
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(username) || NON_BOOKING_PATHS.indexOf(username) !== -1) return null;
+    if (segments[1] && !meetingTypeSlug(segments[1])) return null;
+
+    const options = { meetingType: segments[1], query: {} };
+    url.searchParams.forEach((value, key) => {
+      if (LINK_OPTION_PARAMS[key]) {
+        options[LINK_OPTION_PARAMS[key]] = value;
+      } else {
+        options.query[key] = value;
+      }
+    });
+
+    return { username: username, options: options };
+  }
+
+  /**
+   * The booking link an event happened in, if link interception applies
+   */
+  function interceptedLink(e) {
+    const target = e.target;
+    if (!target || typeof target.closest !== 'function') return null;
+
+    const anchor = target.closest('a[href]');
+    if (!anchor || anchor.hasAttribute('download') || anchor.hasAttribute('data-tymeslot-popup')) return null;
+    if (anchor.getAttribute('data-tymeslot-intercept') === 'false') return null;
+
+    return bookingLink(anchor);
+  }
+
+  let linkInterceptor = null;
+
+  /**
+   * Open plain booking links in the popup instead of navigating away
+   *
+   * Modified clicks (middle, ctrl/cmd, shift, alt) keep their normal
+   * behaviour. Returns a handle whose destroy() turns interception off.
+   */
+  function interceptLinks(defaults = {}) {
+    if (linkInterceptor) return linkInterceptor;
+
+    const onClick = (e) => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+      const link = interceptedLink(e);
+      if (!link) return;
+
+      e.preventDefault();
+      TymeslotBooking.open(link.username, Object.assign({}, defaults, link.options));
+    };
+
+    const onHover = (e) => {
+      const link = interceptedLink(e);
+      if (link) prewarm(link.username, Object.assign({}, defaults, link.options));
+    };
+
+    document.addEventListener('click', onClick);
+    document.addEventListener('mouseover', onHover, { passive: true });
+
+    const handle = {
+      destroy: function() {
+        document.removeEventListener('click', onClick);
+        document.removeEventListener('mouseover', onHover);
+        instances.delete(handle);
+        if (linkInterceptor === handle) linkInterceptor = null;
+      }
+    };
+    instances.add(handle);
+    linkInterceptor = handle;
+    return handle;
+  }
+
+  /**
+   * Public API
+   */
+  window.TymeslotBooking = {
+    /**
+     * Version of this build, e.g. '1.0.0'
+     */
+    version: VERSION,
+
+    /**
+     * Display error in a container
+     */
+    showError: function(selectorOrElement) {
+      let container = selectorOrElement;
+      if (typeof selectorOrElement === 'string') {
+        container = document.querySelector(selectorOrElement);
+      }
+      if (container) {
+        showError(container);
+      }
+    },
+
+    /**
+     * Open booking in a modal
+     * Returns the popup's embed handle.
+     */
+    open: function(username, options = {}) {
+      useNonce(options);
+      // Remove existing modal if any; the new one takes over its history entry
+      if (activePopup) {
+        activePopup.keepHistory = true;
+        activePopup.destroy();
+      }
+      
+      const { modal, container } = createModal();
+      modal.previousFocus = deepActiveElement();
+      document.body.appendChild(modal);
+      fitToVisualViewport(modal);
+      pushPopupHistory();
+      inertBackground(modal);
+      trapFocus(modal, () => activePopup && activePopup.iframe);
+      modal.previousBodyOverflow = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+      
+      // Handle escape key
+      const escapeHandler = (e) => {
+        if (e.key === 'Escape') {
+          this.close();
+        }
+      };
+      document.addEventListener('keydown', escapeHandler);
+      modal.escapeHandler = escapeHandler;
+
+      const instance = createInstance(container, username, options, 'popup');
+      instance.modal = modal;
+      trackFunnel(instance, 'open');
+      instance.teardown = () => {
+        if (activePopup === instance) activePopup = null;
+        if (!instance.keepHistory) popPopupHistory();
+        removeModal(modal);
+      };
+      activePopup = instance;
+
+      // Move focus into the booking page so keyboard and screen reader users
+      // land in the dialog
+      if (instance.iframe) {
+        instance.iframe.focus();
+      } else {
+        container.focus();
+      }
+
+      return instance;
+    },
+    
+    /**
+     * Close the modal, dropping the history entry open() added
+     */
+    close: function() {
+      if (activePopup) activePopup.destroy();
+    },
+    
+    /**
+     * Initialize floating button
+     * Returns a handle whose destroy() removes the button.
+     */
+    initFloating: function(username, options = {}) {
+      useNonce(options);
+      // Remove existing button if any
+      if (floatingButton) floatingButton.destroy();
+      const existing = document.getElementById('tymeslot-floating-button');
+      if (existing) existing.remove();
+      
+      const button = createFloatingButton(username, options);
+      document.body.appendChild(button);
+      // The button counts as an impression the first time it shows
+      const impression = { username: username, embedType: 'floating' };
+      const stopVisibility = watchFloatingVisibility(button, options, () => trackFunnel(impression, 'impression'));
+      const stopAutoOpen = watchAutoOpen(button, username, options);
+
+      const handle = {
+        destroy: function() {
+          instances.delete(handle);
+          if (floatingButton === handle) floatingButton = null;
+          stopVisibility();
+          stopAutoOpen();
+          button.remove();
+        }
+      };
+      instances.add(handle);
+      floatingButton = handle;
+      return handle;
+    },
+
+    /**
+     * Start or stop picking up inline containers added after load
+     * Auto-discovery is on unless the script tag has data-tymeslot-auto-init="false".
+     */
+    observe: function() {
+      observeInlineEmbeds();
+    },
+
+    unobserve: function() {
+      if (inlineObserver) {
+        inlineObserver.disconnect();
+        inlineObserver = null;
+      }
+    },
+
+    /**
+     * Open links to booking pages in the popup
+     * Options apply to every intercepted link; the link's own query wins.
+     */
+    interceptLinks: function(options = {}) {
+      return interceptLinks(options);
+    },
+
+    /**
+     * Warm up a popup before it opens, e.g. from a trigger's mouseenter
+     */
+    prewarm: function(username, options = {}) {
+      prewarm(username, options);
+    },
+
+    /**
+     * Tear down every embed, popup and floating button created by this script
+     */
+    destroyAll: function() {
+      Array.from(instances).forEach(instance => instance.destroy());
+    },
+    
+    /**
+     * Subscribe to a widget lifecycle event
+     * Returns a function that removes the subscription.
+     */
+    on: function(event, callback) {
+      if (WIDGET_EVENTS.indexOf(event) === -1) {
+        console.error('Tymeslot: Unknown event:', event);
+        return function() {};
+      }
+      if (typeof callback !== 'function') {
+        console.error('Tymeslot: Event callback must be a function');
+        return function() {};
+      }
+
+      eventListeners[event] = eventListeners[event] || [];
+      eventListeners[event].push(callback);
+
+      return () => this.off(event, callback);
+    },
+
+    /**
+     * Remove a lifecycle event subscription
+     */
+    off: function(event, callback) {
+      const callbacks = eventListeners[event];
+      if (!callbacks) return;
+
+      const index = callbacks.indexOf(callback);
+      if (index !== -1) callbacks.splice(index, 1);
+    },
+
+    /**
+     * Programmatically embed inline
+     * Accepts a selector or an element and returns the embed handle.
+     */
+    embed: function(selector, username, options = {}) {
+      const container = typeof selector === 'string' ? document.querySelector(selector) : selector;
+      if (!container) {
+        console.error('Tymeslot: Container not found:', selector);
+        return null;
+      }
+      
+      return createInline(container, username, options);
+    }
+  };
+
+  /**
+   * <tymeslot-booking> custom element
+   *
+   *   <tymeslot-booking username="sarah" meeting-type="demo"></tymeslot-booking>
+   *   <tymeslot-booking username="sarah" mode="popup">Book a demo</tymeslot-booking>
+   *
+   * Inline mode renders the widget in the element's shadow root, so
+   * frameworks keep ownership of its light DOM. Popup mode renders a button
+   * labelled by the element's children. Attribute changes update the widget,
+   * removing the element tears it down, and lifecycle events are dispatched
+   * on the element as tymeslot:<event>.
+   */
+  const ELEMENT_ATTRIBUTES = {
+    'theme': 'theme',
+    'primary-color': 'primaryColor',
+    'color-scheme': 'colorScheme',
+    'color-scheme-class': 'colorSchemeClass',
+    'branding': 'branding',
+    'branding-selector': 'brandingSelector',
+    'locale': 'locale',
+    'timezone': 'timezone',
+    'hour-cycle': 'hourCycle',
+    'meeting-type': 'meetingType',
+    'date': 'date',
+    'loading': 'loading'
+  };
+
+  const ELEMENT_CSS = `
+    :host { display: block; }
+    :host([mode="popup"]) { display: inline-block; }
+    :host([hidden]) { display: none; }
+    .trigger {
+      margin: 0;
+      padding: 12px 24px;
+      border: none;
+      border-radius: var(--tymeslot-radius, 12px);
+      background: var(--tymeslot-button-bg, #14B8A6);
+      color: var(--tymeslot-button-color, #fff);
+      font: inherit;
+      font-weight: 600;
+      cursor: pointer;
+    }
+  `;
+
+  if (window.customElements && !window.customElements.get('tymeslot-booking')) {
+    class TymeslotBookingElement extends HTMLElement {
+      static get observedAttributes() {
+        return ['username', 'mode', 'prefill-name', 'prefill-email', 'prefill-notes',
+          'confirmed-redirect', 'confirmed-redirect-details']
+          .concat(Object.keys(ELEMENT_ATTRIBUTES));
+      }
+
+      constructor() {
+        super();
+        this.instance = null;
+        this.renderQueued = false;
+
+        const root = this.attachShadow({ mode: 'open' });
+        adoptStyles(root, ELEMENT_CSS);
+
+        this.container = document.createElement('div');
+        root.appendChild(this.container);
+      }
+
+      connectedCallback() {
+        this.queueRender();
+      }
+
+      disconnectedCallback() {
+        this.teardown();
+      }
+
+      attributeChangedCallback() {
+        if (this.isConnected) this.queueRender();
+      }
+
+      // Several attributes often change together; render once for all of them
+      queueRender() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+
+        Promise.resolve().then(() => {
+          this.renderQueued = false;
+          if (this.isConnected) this.render();
+        });
+      }
+
+      options() {
+        const options = {
+          prefill: {
+            name: this.getAttribute('prefill-name'),
+            email: this.getAttribute('prefill-email'),
+            notes: this.getAttribute('prefill-notes')
+          },
+          onConfirmedRedirect: redirectFromAttributes(
+            this.getAttribute('confirmed-redirect'),
+            this.getAttribute('confirmed-redirect-details')
+          )
+        };
+
+        Object.keys(ELEMENT_ATTRIBUTES).forEach(attribute => {
+          options[ELEMENT_ATTRIBUTES[attribute]] = this.getAttribute(attribute);
+        });
+
+        return options;
+      }
+
+      render() {
+        const username = this.getAttribute('username');
+        const mode = this.getAttribute('mode') === 'popup' ? 'popup' : 'inline';
+
+        if (!username) {
+          this.teardown();
+          return;
+        }
+
+        if (mode === 'popup') {
+          this.renderTrigger();
+          return;
+        }
+
+        const options = this.options();
+        const instance = this.instance;
+
+        if (instance && !instance.destroyed && instance.mode === 'inline' && instance.username === username) {
+          // Pass only what changed, so theme and prefill changes apply in place
+          const changes = {};
+          Object.keys(options).forEach(key => {
+            if (JSON.stringify(options[key]) !== JSON.stringify(instance.options[key])) changes[key] = options[key];
+          });
+          if (Object.keys(changes).length > 0) instance.update(changes);
+          return;
+        }
+
+        this.teardown();
+        this.instance = createInline(this.container, username, options);
+        this.instance.eventTarget = this;
+      }
+
+      renderTrigger() {
+        if (this.instance && this.instance.mode === 'inline') this.teardown();
+        if (this.container.querySelector('.trigger')) return;
+
+        this.container.replaceChildren();
+
+        const button = document.createElement('button');
+        button.className = 'trigger';
+        button.type = 'button';
+        button.setAttribute('part', 'button');
+        button.setAttribute('aria-haspopup', 'dialog');
+
+        const label = document.createElement('slot');
+        label.textContent = 'Book a meeting';
+        button.appendChild(label);
+
+        const warm = () => prewarm(this.getAttribute('username'), this.options());
+        button.addEventListener('mouseenter', warm);
+        button.addEventListener('focus', warm);
+        button.addEventListener('touchstart', warm, { passive: true });
+
+        button.onclick = () => {
+          this.instance = TymeslotBooking.open(this.getAttribute('username'), this.options());
+          this.instance.eventTarget = this;
+        };
+
+        this.container.appendChild(button);
+      }
+
+      teardown() {
+        if (this.instance) {
+          this.instance.destroy();
+          this.instance = null;
+        }
+        this.container.replaceChildren();
+      }
+    }
+
+    window.customElements.define('tymeslot-booking', TymeslotBookingElement);
+  }
+
+  /**
+   * Initialize when DOM is ready
+   */
+  const init = () => {
+    try {
+      addResourceHints();
+      initInlineEmbeds();
+      initSlotsWidgets();
+      if (!SCRIPT_TAG || SCRIPT_TAG.getAttribute('data-tymeslot-auto-init') !== 'false') {
+        observeInlineEmbeds();
+      }
+      if (SCRIPT_TAG && SCRIPT_TAG.hasAttribute('data-tymeslot-intercept')) {
+        interceptLinks();
+      }
+    } catch (e) {
+      failSafe(e.message);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
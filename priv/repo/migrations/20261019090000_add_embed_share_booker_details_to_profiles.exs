@@ -0,0 +1,9 @@
+defmodule Tymeslot.Repo.Migrations.AddEmbedShareBookerDetailsToProfiles do
+  use Ecto.Migration
+
+  def change do
+    alter table(:profiles) do
+      add :embed_share_booker_details, :boolean, default: false, null: false
+    end
+  end
+end
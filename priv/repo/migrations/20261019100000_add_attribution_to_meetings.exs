@@ -0,0 +1,9 @@
+defmodule Tymeslot.Repo.Migrations.AddAttributionToMeetings do
+  use Ecto.Migration
+
+  def change do
+    alter table(:meetings) do
+      add :attribution, :map
+    end
+  end
+end
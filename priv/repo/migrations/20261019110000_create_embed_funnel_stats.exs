@@ -0,0 +1,18 @@
+defmodule Tymeslot.Repo.Migrations.CreateEmbedFunnelStats do
+  use Ecto.Migration
+
+  def change do
+    create table(:embed_funnel_stats) do
+      add :profile_id, references(:profiles, on_delete: :delete_all), null: false
+      add :date, :date, null: false
+      add :embed_type, :string, null: false
+      add :host, :string, null: false
+      add :step, :string, null: false
+      add :count, :integer, default: 0, null: false
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create unique_index(:embed_funnel_stats, [:profile_id, :date, :embed_type, :host, :step])
+  end
+end
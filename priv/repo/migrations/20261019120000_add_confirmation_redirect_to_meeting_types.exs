@@ -0,0 +1,10 @@
+defmodule Tymeslot.Repo.Migrations.AddConfirmationRedirectToMeetingTypes do
+  use Ecto.Migration
+
+  def change do
+    alter table(:meeting_types) do
+      add :confirmation_redirect_url, :string, size: 2000
+      add :redirect_with_details, :boolean, default: false, null: false
+    end
+  end
+end
@@ -0,0 +1,302 @@
+/**
+ * Behaviour of assets/js/embed.js in a fake page (see fake_dom.js)
+ *
+ * Run with `node --test test/js/embed.test.js`;
+ * test/tymeslot_web/embed_js_behaviour_test.exs runs it as part of `mix test`
+ * when node is installed.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEmbed, BASE_URL } = require('./fake_dom');
+
+// embed.js' READY_TIMEOUT_MS and its load timeout (TIMEOUT_MS)
+const READY_TIMEOUT_MS = 10000;
+const LOAD_TIMEOUT_MS = 15000;
+
+function embedInline(options = {}) {
+  const page = loadEmbed();
+  const container = page.document.body.appendChild(page.document.createElement('div'));
+  const booking = page.TymeslotBooking.embed(container, 'sarah', options);
+  return Object.assign(page, { container, booking, iframe: booking.iframe });
+}
+
+function errorEvents(target) {
+  const events = [];
+  target.addEventListener('tymeslot:error', e => events.push(e.detail));
+  return events;
+}
+
+test.describe('messages from the booking page', () => {
+  test.it('applies a well-formed message from the widget iframe', () => {
+    const { iframe, postMessage, envelope } = embedInline();
+
+    postMessage(iframe.contentWindow, envelope(iframe, 'resize', { height: 512 }));
+
+    assert.strictEqual(iframe.style.height, '512px');
+  });
+
+  test.it('ignores messages from other origins', () => {
+    const { iframe, postMessage, envelope } = embedInline();
+
+    postMessage(iframe.contentWindow, envelope(iframe, 'resize', { height: 512 }), 'https://evil.test');
+
+    assert.notStrictEqual(iframe.style.height, '512px');
+  });
+
+  test.it('ignores messages from windows that are not a widget iframe', () => {
+    const { iframe, postMessage, envelope } = embedInline();
+
+    postMessage({ postMessage() {} }, envelope(iframe, 'resize', { height: 512 }));
+
+    assert.notStrictEqual(iframe.style.height, '512px');
+  });
+
+  test.it("ignores messages on another iframe's channel", () => {
+    const { document, TymeslotBooking, iframe, postMessage, envelope } = embedInline();
+    const other = TymeslotBooking.embed(document.body.appendChild(document.createElement('div')), 'sam');
+
+    postMessage(iframe.contentWindow, envelope(other.iframe, 'resize', { height: 512 }));
+
+    assert.notStrictEqual(iframe.style.height, '512px');
+    assert.notStrictEqual(other.iframe.style.height, '512px');
+  });
+
+  test.it('ignores unknown types, newer protocol versions and malformed payloads', () => {
+    const { iframe, container, postMessage, envelope } = embedInline();
+    const events = [];
+    container.addEventListener('tymeslot:booking:confirmed', e => events.push(e.detail));
+
+    postMessage(iframe.contentWindow, envelope(iframe, 'navigate', { url: '/' }));
+    postMessage(iframe.contentWindow, Object.assign(envelope(iframe, 'resize', { height: 512 }), { tymeslot: 2 }));
+    postMessage(iframe.contentWindow, envelope(iframe, 'resize', { height: -1 }));
+    postMessage(iframe.contentWindow, envelope(iframe, 'resize', { height: '512' }));
+    postMessage(iframe.contentWindow, envelope(iframe, 'event', { event: 'payment:captured' }));
+    postMessage(iframe.contentWindow, envelope(iframe, 'ready', 'ok'));
+    postMessage(iframe.contentWindow, 'tymeslot:resize:512');
+
+    assert.notStrictEqual(iframe.style.height, '512px');
+    assert.notStrictEqual(iframe.style.opacity, '1');
+    assert.deepStrictEqual(events, []);
+  });
+
+  test.it('passes lifecycle events to subscribers and the container', () => {
+    const { TymeslotBooking, iframe, container, postMessage, envelope } = embedInline();
+    const received = [];
+    const dispatched = [];
+    TymeslotBooking.on('booking:confirmed', payload => received.push(payload));
+    container.addEventListener('tymeslot:booking:confirmed', e => dispatched.push(e.detail));
+
+    const payload = { meeting_type: { id: 7 }, duration: 30 };
+    postMessage(iframe.contentWindow, envelope(iframe, 'event', { event: 'booking:confirmed', payload: payload }));
+
+    assert.deepStrictEqual(received, [payload]);
+    assert.deepStrictEqual(dispatched, [payload]);
+  });
+
+  test.it('sends prefill values over the channel once the page has mounted', () => {
+    const { iframe, postMessage, envelope } = embedInline({ prefill: { name: 'Jane', phone: '555' } });
+
+    assert.doesNotMatch(iframe.src, /Jane/);
+    postMessage(iframe.contentWindow, envelope(iframe, 'mounted', {}));
+
+    const prefill = iframe.posted.find(({ message }) => message.type === 'prefill');
+    // Built inside the page, so compare fields rather than prototypes
+    assert.deepStrictEqual(Object.assign({}, prefill.message.payload), { name: 'Jane' });
+    assert.strictEqual(prefill.targetOrigin, BASE_URL);
+    assert.strictEqual(prefill.message.channel, envelope(iframe).channel);
+  });
+});
+
+test.describe('readiness and timeouts', () => {
+  test.it('shows the booking page once it reports ready', () => {
+    const { iframe, container, clock, postMessage, envelope } = embedInline();
+    const errors = errorEvents(container);
+
+    iframe.onload();
+    postMessage(iframe.contentWindow, envelope(iframe, 'ready', { status: 'ok' }));
+    clock.advance(LOAD_TIMEOUT_MS * 4);
+
+    assert.strictEqual(iframe.style.opacity, '1');
+    assert.ok(iframe.isConnected);
+    assert.strictEqual(iframe.parentNode.querySelector('.loader'), null);
+    assert.deepStrictEqual(errors, []);
+  });
+
+  test.it('falls back when a loaded frame never reports ready', () => {
+    const onError = [];
+    const { iframe, container, clock } = embedInline({ onError: error => onError.push(error) });
+    const errors = errorEvents(container);
+    const widget = iframe.parentNode;
+
+    iframe.onload();
+    clock.advance(READY_TIMEOUT_MS - 1);
+    assert.deepStrictEqual(errors, []);
+
+    clock.advance(1);
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].status, 'timeout');
+    assert.deepStrictEqual(onError, errors);
+    assert.ok(!iframe.isConnected);
+    assert.strictEqual(widget.querySelector('.error').dataset.status, 'timeout');
+  });
+
+  test.it('retries a frame that never loads before timing out', () => {
+    const { iframe, container, clock } = embedInline();
+    const errors = errorEvents(container);
+
+    clock.advance(LOAD_TIMEOUT_MS);
+    assert.match(iframe.src, /_retry=1/);
+    clock.advance(LOAD_TIMEOUT_MS);
+    assert.match(iframe.src, /_retry=2/);
+    assert.deepStrictEqual(errors, []);
+
+    clock.advance(LOAD_TIMEOUT_MS);
+
+    assert.deepStrictEqual(errors.map(error => error.status), ['timeout']);
+  });
+
+  test.it('reports the status of a page that refuses to be shown', () => {
+    const { iframe, container, postMessage, envelope } = embedInline({ locale: 'de' });
+    const errors = errorEvents(container);
+    const widget = iframe.parentNode;
+
+    iframe.onload();
+    postMessage(iframe.contentWindow, envelope(iframe, 'ready', { status: 'domain_not_allowed' }));
+
+    assert.deepStrictEqual(errors.map(error => error.status), ['domain_not_allowed']);
+    assert.strictEqual(widget.querySelector('.error').dataset.status, 'domain_not_allowed');
+    assert.ok(!iframe.isConnected);
+  });
+
+  test.it('treats unknown statuses as errors', () => {
+    const { iframe, container, postMessage, envelope } = embedInline();
+    const errors = errorEvents(container);
+
+    postMessage(iframe.contentWindow, envelope(iframe, 'ready', { status: 'exploded' }));
+
+    assert.deepStrictEqual(errors.map(error => error.status), ['error']);
+  });
+});
+
+test.describe('teardown', () => {
+  test.it('destroy() removes the widget and stops its timers', () => {
+    const { iframe, container, clock, booking, TymeslotBooking } = embedInline();
+    const errors = errorEvents(container);
+    const received = [];
+    TymeslotBooking.on('error', error => received.push(error));
+
+    iframe.onload();
+    booking.destroy();
+    clock.advance(LOAD_TIMEOUT_MS * 4);
+
+    assert.deepStrictEqual(container.childNodes, []);
+    assert.strictEqual(booking.iframe, null);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(received, []);
+  });
+
+  test.it('ignores messages from a destroyed widget', () => {
+    const { iframe, container, booking, TymeslotBooking, postMessage, envelope } = embedInline();
+    const received = [];
+    TymeslotBooking.on('booking:confirmed', payload => received.push(payload));
+
+    booking.destroy();
+    postMessage(iframe.contentWindow, envelope(iframe, 'event', { event: 'booking:confirmed', payload: {} }));
+
+    assert.deepStrictEqual(received, []);
+    assert.deepStrictEqual(container.childNodes, []);
+  });
+
+  test.it('embedding into a container again replaces the earlier widget', () => {
+    const { document, TymeslotBooking, container, booking } = embedInline();
+
+    const replacement = TymeslotBooking.embed(container, 'sam');
+
+    assert.ok(booking.destroyed);
+    assert.strictEqual(container.childNodes.length, 1);
+    assert.strictEqual(container.childNodes[0], replacement.wrapper);
+    assert.ok(replacement.iframe.src.startsWith(BASE_URL + '/sam'));
+    assert.strictEqual(document.body.contains(container), true);
+  });
+
+  test.it("closing the popup restores the page and the host's own attributes", () => {
+    const page = loadEmbed();
+    const { document, clock, TymeslotBooking } = page;
+    const main = document.body.appendChild(document.createElement('main'));
+    const banner = document.body.appendChild(document.createElement('div'));
+    banner.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'scroll';
+
+    const popup = TymeslotBooking.open('sarah');
+    assert.strictEqual(main.getAttribute('aria-hidden'), 'true');
+    assert.strictEqual(banner.inert, true);
+    assert.strictEqual(document.body.style.overflow, 'hidden');
+
+    TymeslotBooking.close();
+    clock.advance(300);
+
+    assert.ok(popup.destroyed);
+    assert.strictEqual(document.getElementById('tymeslot-modal'), null);
+    assert.strictEqual(main.hasAttribute('aria-hidden'), false);
+    assert.strictEqual(main.inert, false);
+    assert.strictEqual(banner.getAttribute('aria-hidden'), 'false');
+    assert.strictEqual(document.body.style.overflow, 'scroll');
+  });
+
+  test.it('closing the popup removes its key and focus handlers', () => {
+    const { document, clock, TymeslotBooking } = loadEmbed();
+    const keydown = document.listenerCount('keydown');
+    const focusin = document.listenerCount('focusin');
+
+    TymeslotBooking.open('sarah');
+    assert.ok(document.listenerCount('keydown') > keydown);
+    assert.ok(document.listenerCount('focusin') > focusin);
+
+    TymeslotBooking.close();
+    clock.advance(300);
+
+    assert.strictEqual(document.listenerCount('keydown'), keydown);
+    assert.strictEqual(document.listenerCount('focusin'), focusin);
+  });
+
+  test.it('a popup opened right after closing one survives the late popstate', () => {
+    const { clock, TymeslotBooking } = loadEmbed();
+
+    TymeslotBooking.open('sarah');
+    TymeslotBooking.close();
+    const reopened = TymeslotBooking.open('sam');
+    clock.advance(300);
+
+    assert.ok(!reopened.destroyed);
+  });
+
+  test.it('Back closes the popup', () => {
+    const { window, clock, TymeslotBooking } = loadEmbed();
+
+    const popup = TymeslotBooking.open('sarah');
+    window.history.back();
+    clock.advance(300);
+
+    assert.ok(popup.destroyed);
+    assert.strictEqual(window.history.state, null);
+  });
+
+  test.it('destroyAll() tears down widgets, popups and floating buttons', () => {
+    const { document, clock, TymeslotBooking, container } = embedInline();
+
+    TymeslotBooking.initFloating('sarah');
+    TymeslotBooking.interceptLinks();
+    TymeslotBooking.open('sarah');
+
+    TymeslotBooking.destroyAll();
+    clock.advance(300);
+
+    assert.deepStrictEqual(container.childNodes, []);
+    assert.strictEqual(document.getElementById('tymeslot-modal'), null);
+    assert.strictEqual(document.getElementById('tymeslot-floating-button'), null);
+  });
+});
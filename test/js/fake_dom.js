@@ -0,0 +1,481 @@
+/**
+ * Just enough of a browser page to run embed.js under node:test
+ *
+ * loadEmbed() builds a fresh document, history and timer queue, runs
+ * assets/js/embed.js in it and returns the page. Timers only fire when the
+ * test advances the clock, and history.back() settles on a later tick like
+ * it does in browsers.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const EMBED_JS = path.join(__dirname, '../../assets/js/embed.js');
+const BASE_URL = 'https://tymeslot.test';
+const PAGE_URL = 'https://host.test/pricing?utm_source=newsletter';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+class FakeNode extends EventTarget {
+  constructor(nodeType, ownerDocument) {
+    super();
+    this.nodeType = nodeType;
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener, options) {
+    this.listeners[type] = (this.listeners[type] || new Set()).add(listener);
+    super.addEventListener(type, listener, options);
+  }
+
+  removeEventListener(type, listener, options) {
+    if (this.listeners[type]) this.listeners[type].delete(listener);
+    super.removeEventListener(type, listener, options);
+  }
+
+  /**
+   * How many listeners for an event type are still attached
+   */
+  listenerCount(type) {
+    return this.listeners[type] ? this.listeners[type].size : 0;
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === ELEMENT_NODE);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.replaceChildren(this.ownerDocument.createTextNode(String(value)));
+  }
+
+  get isConnected() {
+    let node = this;
+    while (node) {
+      if (node === this.ownerDocument) return true;
+      node = node.parentNode || node.host || null;
+    }
+    return false;
+  }
+
+  appendChild(node) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  insertBefore(node, reference) {
+    if (!reference) return this.appendChild(node);
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+    return node;
+  }
+
+  removeChild(node) {
+    const index = this.childNodes.indexOf(node);
+    if (index === -1) throw new Error('Not a child of this node');
+    this.childNodes.splice(index, 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  replaceChild(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+  }
+
+  replaceChildren(...nodes) {
+    this.childNodes.slice().forEach(node => this.removeChild(node));
+    nodes.forEach(node => this.appendChild(node));
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  getRootNode() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node;
+  }
+
+  querySelectorAll(selector) {
+    const found = [];
+    const walk = (node) => {
+      node.children.forEach(child => {
+        if (child.matches(selector)) found.push(child);
+        walk(child);
+      });
+    };
+    walk(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+class FakeText extends FakeNode {
+  constructor(text, ownerDocument) {
+    super(TEXT_NODE, ownerDocument);
+    this.data = text;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value);
+  }
+}
+
+// Compound selectors only (tag, #id, .class, [attr], [attr="value"]), in
+// comma-separated lists; embed.js needs nothing more
+function matchesCompound(el, selector) {
+  const parts = selector.trim().match(/^[a-z][\w-]*|#[\w-]+|\.[\w-]+|\[[\w-]+(?:="[^"]*")?\]/g) || [];
+  if (parts.join('') !== selector.trim()) throw new Error('Unsupported selector: ' + selector);
+
+  return parts.every(part => {
+    if (part[0] === '#') return el.getAttribute('id') === part.slice(1);
+    if (part[0] === '.') return el.classList.contains(part.slice(1));
+    if (part[0] === '[') {
+      const [, name, value] = part.match(/^\[([\w-]+)(?:="([^"]*)")?\]$/);
+      return value === undefined ? el.hasAttribute(name) : el.getAttribute(name) === value;
+    }
+    return el.tagName === part.toUpperCase();
+  });
+}
+
+class FakeElement extends FakeNode {
+  constructor(tagName, ownerDocument) {
+    super(ELEMENT_NODE, ownerDocument);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map();
+    this.style = {};
+    this.inert = false;
+    this.shadowRoot = null;
+
+    const el = this;
+    this.dataset = new Proxy({}, {
+      get: (_target, key) => {
+        const value = el.getAttribute(datasetAttribute(key));
+        return value === null ? undefined : value;
+      },
+      set: (_target, key, value) => {
+        el.setAttribute(datasetAttribute(key), value);
+        return true;
+      },
+      deleteProperty: (_target, key) => {
+        el.removeAttribute(datasetAttribute(key));
+        return true;
+      }
+    });
+
+    this.classList = {
+      contains: name => el.className.split(/\s+/).indexOf(name) !== -1,
+      add: (...names) => {
+        el.className = el.className.split(/\s+/).filter(Boolean)
+          .concat(names.filter(name => !el.classList.contains(name))).join(' ');
+      },
+      remove: (...names) => {
+        el.className = el.className.split(/\s+/).filter(name => name && names.indexOf(name) === -1).join(' ');
+      },
+      toggle: (name, force) => {
+        const on = force === undefined ? !el.classList.contains(name) : force;
+        if (on) el.classList.add(name); else el.classList.remove(name);
+        return on;
+      }
+    };
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  set id(value) {
+    this.setAttribute('id', value);
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  matches(selector) {
+    return selector.split(',').some(part => matchesCompound(this, part));
+  }
+
+  closest(selector) {
+    for (let el = this; el && el.nodeType === ELEMENT_NODE; el = el.parentNode) {
+      if (el.matches(selector)) return el;
+    }
+    return null;
+  }
+
+  attachShadow({ mode }) {
+    this.shadowRoot = new FakeShadowRoot(this, mode);
+    return this.shadowRoot;
+  }
+
+  focus() {
+    this.ownerDocument.activeElement = this;
+  }
+}
+
+class FakeShadowRoot extends FakeNode {
+  constructor(host, mode) {
+    super(11, host.ownerDocument);
+    this.host = host;
+    this.mode = mode;
+    this.activeElement = null;
+  }
+}
+
+class FakeIframe extends FakeElement {
+  constructor(ownerDocument) {
+    super('iframe', ownerDocument);
+    this.posted = [];
+    this.contentWindow = {
+      postMessage: (message, targetOrigin) => this.posted.push({ message, targetOrigin })
+    };
+  }
+}
+
+function datasetAttribute(key) {
+  return 'data-' + String(key).replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+class FakeDocument extends FakeNode {
+  constructor() {
+    super(9, null);
+    this.ownerDocument = this;
+    this.readyState = 'complete';
+    this.visibilityState = 'visible';
+    this.referrer = 'https://search.test/results?q=booking';
+    this.activeElement = null;
+
+    this.documentElement = this.appendChild(this.createElement('html'));
+    this.head = this.documentElement.appendChild(this.createElement('head'));
+    this.body = this.documentElement.appendChild(this.createElement('body'));
+    this.activeElement = this.body;
+
+    this.currentScript = this.createElement('script');
+    this.currentScript.src = BASE_URL + '/embed.js';
+    this.currentScript.setAttribute('src', this.currentScript.src);
+    this.scripts = [this.currentScript];
+  }
+
+  createElement(tagName) {
+    return tagName.toLowerCase() === 'iframe' ? new FakeIframe(this) : new FakeElement(tagName, this);
+  }
+
+  createTextNode(text) {
+    return new FakeText(text, this);
+  }
+
+  getElementById(id) {
+    return this.querySelector('#' + id);
+  }
+}
+
+/**
+ * Session history with the async back() of browsers
+ */
+class FakeHistory {
+  constructor(window, clock) {
+    this.window = window;
+    this.clock = clock;
+    this.entries = [{ state: null }];
+    this.index = 0;
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+
+  get state() {
+    return this.entries[this.index].state;
+  }
+
+  pushState(state) {
+    this.entries.splice(this.index + 1, Infinity, { state: state });
+    this.index++;
+  }
+
+  replaceState(state) {
+    this.entries[this.index] = { state: state };
+  }
+
+  // The target entry is the one before the entry back() was called on
+  back() {
+    const target = this.index - 1;
+    this.clock.setTimeout(() => {
+      if (target < 0) return;
+      this.index = target;
+      const event = new Event('popstate');
+      event.state = this.state;
+      this.window.dispatchEvent(event);
+    }, 0);
+  }
+}
+
+/**
+ * Timers that only run when advance() is called
+ */
+class FakeClock {
+  constructor() {
+    this.now = 0;
+    this.nextId = 1;
+    this.timers = new Map();
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.now + delay, callback: callback });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  advance(ms) {
+    const end = this.now + ms;
+    for (;;) {
+      let next = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.at <= end && (!next || timer.at < next.at)) next = Object.assign({ id: id }, timer);
+      });
+      if (!next) break;
+
+      this.timers.delete(next.id);
+      this.now = next.at;
+      next.callback();
+    }
+    this.now = end;
+  }
+}
+
+/**
+ * A page with embed.js loaded
+ *
+ * setup(document) runs before the script, e.g. to add inline containers.
+ */
+function loadEmbed(setup) {
+  const document = new FakeDocument();
+  const clock = new FakeClock();
+  const target = new EventTarget();
+  const beacons = [];
+  const url = new URL(PAGE_URL);
+
+  const window = {
+    document: document,
+    location: {
+      href: url.href,
+      origin: url.origin,
+      pathname: url.pathname,
+      search: url.search,
+      hash: url.hash,
+      assign: (href) => { window.location.assigned = href; }
+    },
+    navigator: {
+      sendBeacon: (beaconUrl, body) => {
+        beacons.push({ url: beaconUrl, body: String(body) });
+        return true;
+      }
+    },
+    matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} }),
+    addEventListener: target.addEventListener.bind(target),
+    removeEventListener: target.removeEventListener.bind(target),
+    dispatchEvent: target.dispatchEvent.bind(target),
+    setTimeout: clock.setTimeout.bind(clock),
+    clearTimeout: clock.clearTimeout.bind(clock),
+    console: console,
+    URL: URL,
+    URLSearchParams: URLSearchParams,
+    Event: Event,
+    CustomEvent: CustomEvent,
+    Node: { ELEMENT_NODE: ELEMENT_NODE, TEXT_NODE: TEXT_NODE }
+  };
+  window.window = window;
+  window.self = window;
+  window.history = new FakeHistory(window, clock);
+
+  if (setup) setup(document);
+
+  const context = vm.createContext(window);
+  vm.runInContext(fs.readFileSync(EMBED_JS, 'utf8'), context, { filename: EMBED_JS });
+
+  return {
+    window: window,
+    document: document,
+    clock: clock,
+    beacons: beacons,
+    TymeslotBooking: window.TymeslotBooking,
+
+    /**
+     * Post a message to the host page as if it came from a frame
+     */
+    postMessage(source, data, origin = BASE_URL) {
+      const event = new Event('message');
+      event.source = source;
+      event.data = data;
+      event.origin = origin;
+      window.dispatchEvent(event);
+    },
+
+    /**
+     * A message envelope on an iframe's channel (see readMessage in embed.js)
+     */
+    envelope(iframe, type, payload) {
+      const channel = iframe.name.split(':').slice(2).join(':');
+      return { tymeslot: 1, channel: channel, type: type, payload: payload };
+    }
+  };
+}
+
+module.exports = { loadEmbed, BASE_URL };
@@ -0,0 +1,57 @@
+defmodule Tymeslot.Bookings.AttributionTest do
+  use ExUnit.Case, async: true
+
+  alias Tymeslot.Bookings.Attribution
+
+  describe "normalize/1" do
+    test "keeps utm params, page URL and referrer" do
+      assert Attribution.normalize(%{
+               "utm_source" => "newsletter",
+               "utm_medium" => "email",
+               "utm_campaign" => "spring_sale",
+               "page_url" => "https://example.com/pricing",
+               "referrer" => "https://news.example.org/"
+             }) == %{
+               "utm_source" => "newsletter",
+               "utm_medium" => "email",
+               "utm_campaign" => "spring_sale",
+               "page_url" => "https://example.com/pricing",
+               "referrer" => "https://news.example.org/"
+             }
+    end
+
+    test "drops unknown keys and non-string values" do
+      assert Attribution.normalize(%{
+               "utm_source" => "ads",
+               "utm_medium" => 42,
+               "gclid" => "abc",
+               "email" => "jane@example.com"
+             }) == %{"utm_source" => "ads"}
+    end
+
+    test "strips query strings and fragments from URLs" do
+      assert %{"page_url" => "https://example.com/book"} =
+               Attribution.normalize(%{"page_url" => "https://example.com/book?token=secret#top"})
+    end
+
+    test "rejects non-http URLs" do
+      assert Attribution.normalize(%{
+               "page_url" => "javascript:alert(1)",
+               "referrer" => "file:///etc/passwd"
+             }) == nil
+    end
+
+    test "trims and caps text values" do
+      %{"utm_campaign" => campaign} =
+        Attribution.normalize(%{"utm_campaign" => "  " <> String.duplicate("a", 500)})
+
+      assert String.length(campaign) == 255
+    end
+
+    test "returns nil when nothing usable is left" do
+      assert Attribution.normalize(%{}) == nil
+      assert Attribution.normalize(%{"utm_source" => "  "}) == nil
+      assert Attribution.normalize(nil) == nil
+    end
+  end
+end
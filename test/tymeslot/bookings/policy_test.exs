@@ -298,4 +298,33 @@ defmodule Tymeslot.Bookings.PolicyTest do
       assert attrs.reminders == []
     end
   end
+
+  describe "build_meeting_attributes/1 attribution" do
+    test "passes embed attribution through to the meeting" do
+      user = insert(:user)
+      _profile = insert(:profile, user: user)
+
+      params = %{
+        meeting_uid: "meeting-uid",
+        start_datetime: DateTime.add(DateTime.utc_now(), 3600, :second),
+        end_datetime: DateTime.add(DateTime.utc_now(), 5400, :second),
+        duration_minutes: 30,
+        form_data: %{"name" => "Attendee", "email" => "attendee@example.com", "message" => ""},
+        organizer_user_id: user.id,
+        user_timezone: "UTC",
+        attribution: %{"utm_source" => "newsletter", "page_url" => "https://example.com/"}
+      }
+
+      expect(Tymeslot.CalendarMock, :get_booking_integration_info, fn _ ->
+        {:ok, %{integration_id: 1, calendar_path: "primary"}}
+      end)
+
+      attrs = Policy.build_meeting_attributes(params)
+
+      assert attrs.attribution == %{
+               "utm_source" => "newsletter",
+               "page_url" => "https://example.com/"
+             }
+    end
+  end
 end
@@ -228,6 +228,7 @@ defmodule Tymeslot.Dashboard.ExtensionSchemaTest do
         :arrow_left,
         :bell,
         :calendar,
+        :chart_bar,
         :chat_bubble_left_right,
         :clock,
         :cloudron,
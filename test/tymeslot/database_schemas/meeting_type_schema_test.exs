@@ -71,5 +71,28 @@ defmodule Tymeslot.DatabaseSchemas.MeetingTypeSchemaTest do
       refute changeset.valid?
       assert "cannot have more than 3 reminders" in errors_on(changeset).reminder_config
     end
+
+    test "only redirects to HTTP and HTTPS pages after booking" do
+      user = insert(:user)
+      attrs = %{name: "Demo", duration_minutes: 30, user_id: user.id}
+
+      valid =
+        MeetingTypeSchema.changeset(
+          %MeetingTypeSchema{},
+          Map.put(attrs, :confirmation_redirect_url, "https://example.com/thanks")
+        )
+
+      assert valid.valid?
+
+      invalid =
+        MeetingTypeSchema.changeset(
+          %MeetingTypeSchema{},
+          Map.put(attrs, :confirmation_redirect_url, "javascript:alert(1)")
+        )
+
+      refute invalid.valid?
+
+      assert "must be a valid HTTP or HTTPS URL" in errors_on(invalid).confirmation_redirect_url
+    end
   end
 end
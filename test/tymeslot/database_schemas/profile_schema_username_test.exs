@@ -67,6 +67,7 @@ defmodule Tymeslot.Database.ProfileSchemaUsernameTest do
         "dashboard",
         "dev",
         "docs",
+        "embed",
         "help",
         "home",
         "login",
@@ -0,0 +1,72 @@
+defmodule Tymeslot.EmbedAnalyticsTest do
+  use Tymeslot.DataCase, async: true
+
+  alias Tymeslot.EmbedAnalytics
+
+  setup do
+    profile = insert(:profile, username: "funnel", allowed_embed_domains: ["*.example.com"])
+    {:ok, profile: profile}
+  end
+
+  describe "record_events/3" do
+    test "counts known steps from allowed hosts", %{profile: profile} do
+      events = [
+        %{"type" => "inline", "step" => "impression"},
+        %{"type" => "inline", "step" => "impression"},
+        %{"type" => "inline", "step" => "confirmed"},
+        %{"type" => "inline", "step" => "scrolled"},
+        %{"type" => "sidebar", "step" => "impression"}
+      ]
+
+      assert {:ok, 3} = EmbedAnalytics.record_events(profile, "Shop.Example.com", events)
+      assert {:ok, 1} =
+               EmbedAnalytics.record_events(profile, "shop.example.com", Enum.take(events, 1))
+
+      funnel = EmbedAnalytics.funnel(profile.id)
+
+      assert Enum.find(funnel.steps, &(&1.step == "impression")).count == 3
+      assert funnel.hosts == ["shop.example.com"]
+      assert funnel.embed_types == ["inline"]
+    end
+
+    test "refuses hosts outside the embed allowlist", %{profile: profile} do
+      events = [%{"type" => "inline", "step" => "impression"}]
+
+      assert {:error, :host_not_allowed} =
+               EmbedAnalytics.record_events(profile, "example.org", events)
+
+      assert {:error, :host_not_allowed} = EmbedAnalytics.record_events(profile, nil, events)
+    end
+  end
+
+  describe "funnel/2" do
+    test "measures conversion from the first step with counts", %{profile: profile} do
+      EmbedAnalytics.record_events(
+        profile,
+        "www.example.com",
+        List.duplicate(%{"type" => "popup", "step" => "open"}, 4) ++
+          [%{"type" => "popup", "step" => "confirmed"}]
+      )
+
+      EmbedAnalytics.record_events(profile, "blog.example.com", [
+        %{"type" => "inline", "step" => "impression"}
+      ])
+
+      funnel = EmbedAnalytics.funnel(profile.id, embed_type: "popup")
+
+      assert Enum.find(funnel.steps, &(&1.step == "impression")).conversion == 0.0
+      assert Enum.find(funnel.steps, &(&1.step == "open")).conversion == 100.0
+      assert funnel.conversion == 25.0
+      assert funnel.hosts == ["blog.example.com", "www.example.com"]
+
+      assert EmbedAnalytics.funnel(profile.id, host: "blog.example.com").conversion == 0.0
+    end
+
+    test "has no conversion without data", %{profile: profile} do
+      funnel = EmbedAnalytics.funnel(profile.id)
+
+      assert funnel.conversion == nil
+      assert Enum.all?(funnel.steps, &(&1.count == 0))
+    end
+  end
+end
@@ -82,6 +82,26 @@ defmodule Tymeslot.Security.MeetingSettingsInputProcessorTest do
       assert {:error, errors} = MeetingSettingsInputProcessor.validate_meeting_type_form(params)
       assert errors[:reminder_config] == "Reminder settings must include valid values and units"
     end
+
+    test "validates the redirect after booking" do
+      params = %{
+        "name" => "Redirect Test",
+        "duration" => "30",
+        "icon" => "none",
+        "meeting_mode" => "personal",
+        "confirmation_redirect_url" => "https://example.com/thanks",
+        "redirect_with_details" => "true"
+      }
+
+      assert {:ok, sanitized} = MeetingSettingsInputProcessor.validate_meeting_type_form(params)
+      assert sanitized["confirmation_redirect_url"] == "https://example.com/thanks"
+      assert sanitized["redirect_with_details"] == "true"
+
+      params = Map.put(params, "confirmation_redirect_url", "example.com/thanks")
+
+      assert {:error, errors} = MeetingSettingsInputProcessor.validate_meeting_type_form(params)
+      assert errors[:confirmation_redirect_url] == "Only HTTP and HTTPS URLs are allowed"
+    end
   end
 
   describe "validate_buffer_minutes" do
@@ -0,0 +1,36 @@
+defmodule Tymeslot.Utils.ColorUtilsTest do
+  use ExUnit.Case, async: true
+  alias Tymeslot.Utils.ColorUtils
+
+  describe "hex_color?/1" do
+    test "accepts short and long hex colors" do
+      assert ColorUtils.hex_color?("#fff")
+      assert ColorUtils.hex_color?("#4F46E5")
+    end
+
+    test "rejects anything else" do
+      refute ColorUtils.hex_color?("red")
+      refute ColorUtils.hex_color?("#4f46e5; background: url(x)")
+      refute ColorUtils.hex_color?("rgb(0, 0, 0)")
+      refute ColorUtils.hex_color?(nil)
+    end
+  end
+
+  describe "contrast_ratio/2" do
+    test "spans 1 to 21" do
+      assert_in_delta ColorUtils.contrast_ratio("#000000", "#ffffff"), 21.0, 0.01
+      assert_in_delta ColorUtils.contrast_ratio("#14b8a6", "#14b8a6"), 1.0, 0.01
+    end
+
+    test "is symmetric and expands short colors" do
+      assert ColorUtils.contrast_ratio("#fff", "#4f46e5") ==
+               ColorUtils.contrast_ratio("#4f46e5", "#ffffff")
+    end
+
+    test "matches WCAG reference values" do
+      # #767676 is the lightest gray that passes AA (4.5:1) on white
+      assert ColorUtils.contrast_ratio("#767676", "#ffffff") >= 4.5
+      assert ColorUtils.contrast_ratio("#777777", "#ffffff") < 4.5
+    end
+  end
+end
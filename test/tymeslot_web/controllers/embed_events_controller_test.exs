@@ -0,0 +1,62 @@
+defmodule TymeslotWeb.EmbedEventsControllerTest do
+  use TymeslotWeb.ConnCase, async: false
+
+  import Tymeslot.Factory
+
+  alias Tymeslot.EmbedAnalytics
+  alias Tymeslot.Security.RateLimiter
+
+  setup do
+    RateLimiter.clear_all()
+    profile = insert(:profile, username: "beacon", allowed_embed_domains: ["example.com"])
+    {:ok, profile: profile}
+  end
+
+  defp post_events(conn, origin, events) do
+    conn
+    |> put_req_header("origin", origin)
+    |> post(~p"/api/embed/events", %{"events" => Jason.encode!(events)})
+  end
+
+  defp count(profile, step) do
+    profile.id
+    |> EmbedAnalytics.funnel()
+    |> Map.fetch!(:steps)
+    |> Enum.find(&(&1.step == step))
+    |> Map.fetch!(:count)
+  end
+
+  describe "POST /api/embed/events" do
+    test "counts steps for the requesting host", %{conn: conn, profile: profile} do
+      conn =
+        post_events(conn, "https://example.com", [
+          %{"username" => "beacon", "type" => "inline", "step" => "impression"},
+          %{"username" => "beacon", "type" => "inline", "step" => "slot_selected"}
+        ])
+
+      assert response(conn, 204) == ""
+      assert count(profile, "impression") == 1
+      assert count(profile, "slot_selected") == 1
+    end
+
+    test "ignores hosts that may not embed the profile", %{conn: conn, profile: profile} do
+      conn =
+        post_events(conn, "https://evil.test", [
+          %{"username" => "beacon", "type" => "inline", "step" => "impression"}
+        ])
+
+      assert response(conn, 204) == ""
+      assert count(profile, "impression") == 0
+    end
+
+    test "accepts malformed batches without counting them", %{conn: conn, profile: profile} do
+      conn =
+        conn
+        |> put_req_header("origin", "https://example.com")
+        |> post(~p"/api/embed/events", %{"events" => "{not json"})
+
+      assert response(conn, 204) == ""
+      assert count(profile, "impression") == 0
+    end
+  end
+end
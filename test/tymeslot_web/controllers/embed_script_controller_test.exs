@@ -0,0 +1,42 @@
+defmodule TymeslotWeb.EmbedScriptControllerTest do
+  use TymeslotWeb.ConnCase, async: true
+
+  alias TymeslotWeb.Helpers.EmbedScript
+
+  describe "GET /embed/:file" do
+    test "serves versioned builds as immutable, SRI-checkable scripts", %{conn: conn} do
+      version = EmbedScript.current_version()
+      conn = get(conn, "/embed/v#{version}.js")
+
+      assert response(conn, 200) =~ "const VERSION = '#{version}';"
+      assert EmbedScript.integrity_hash(conn.resp_body) == EmbedScript.integrity(version)
+      assert [content_type] = get_resp_header(conn, "content-type")
+      assert content_type =~ "text/javascript"
+      assert get_resp_header(conn, "access-control-allow-origin") == ["*"]
+      assert get_resp_header(conn, "cache-control") == ["public, max-age=31536000, immutable"]
+    end
+
+    test "serves the newest build of a major version under its alias", %{conn: conn} do
+      version = EmbedScript.latest(1)
+      conn = get(conn, "/embed/v1.js")
+
+      assert response(conn, 200) == File.read!(EmbedScript.path(version))
+      assert get_resp_header(conn, "cache-control") == ["public, max-age=300"]
+      assert get_resp_header(conn, "x-tymeslot-embed-version") == [version]
+    end
+
+    test "returns 404 for unpublished versions", %{conn: conn} do
+      assert conn |> get("/embed/v0.0.1.js") |> response(404) == ""
+      assert conn |> get("/embed/v1.js.map") |> response(404) == ""
+    end
+  end
+
+  describe "GET /embed/manifest.json" do
+    test "lists the integrity hash of every build", %{conn: conn} do
+      body = conn |> get("/embed/manifest.json") |> json_response(200)
+
+      assert body["current"] == EmbedScript.current_version()
+      assert body["builds"] == EmbedScript.builds()
+    end
+  end
+end
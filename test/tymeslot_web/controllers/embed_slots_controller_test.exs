@@ -0,0 +1,126 @@
+defmodule TymeslotWeb.EmbedSlotsControllerTest do
+  use TymeslotWeb.ConnCase, async: false
+
+  import Mox
+  import Tymeslot.Factory
+
+  alias Tymeslot.Infrastructure.AvailabilityCache
+  alias Tymeslot.Security.RateLimiter
+
+  setup :verify_on_exit!
+
+  setup tags do
+    Mox.set_mox_from_context(tags)
+    RateLimiter.clear_all()
+    AvailabilityCache.clear_all()
+
+    Tymeslot.CalendarMock
+    |> stub(:get_events_for_range_fresh, fn _user_id, _start_date, _end_date -> {:ok, []} end)
+    |> stub(:list_events_in_range, fn _user_id, _start_dt, _end_dt -> {:ok, []} end)
+
+    user = insert(:user)
+
+    profile =
+      insert(:profile,
+        user: user,
+        username: "next-slots",
+        timezone: "America/New_York",
+        allowed_embed_domains: ["example.com"],
+        advance_booking_days: 60,
+        min_advance_hours: 0,
+        buffer_minutes: 0
+      )
+
+    Enum.each(1..7, fn day_of_week ->
+      insert(:weekly_availability,
+        profile: profile,
+        day_of_week: day_of_week,
+        is_available: true,
+        start_time: ~T[09:00:00],
+        end_time: ~T[17:00:00]
+      )
+    end)
+
+    insert(:calendar_integration, user: user, is_active: true)
+    insert(:meeting_type, user: user, name: "Intro Call", duration_minutes: 30, is_active: true)
+
+    :ok
+  end
+
+  defp get_slots(conn, origin, query) do
+    conn
+    |> put_req_header("origin", origin)
+    |> get("/api/embed/slots/next-slots/intro-call?" <> URI.encode_query(query))
+  end
+
+  describe "GET /api/embed/slots/:username/:meeting_type" do
+    test "returns the next free slots to allowed hosts", %{conn: conn} do
+      conn =
+        get_slots(conn, "https://example.com", %{
+          "count" => "2",
+          "timezone" => "America/New_York"
+        })
+
+      body = json_response(conn, 200)
+
+      assert get_resp_header(conn, "access-control-allow-origin") == ["https://example.com"]
+      assert get_resp_header(conn, "cache-control") == ["public, max-age=60"]
+      assert body["timezone"] == "America/New_York"
+      assert body["duration"] == 30
+      assert [first, second] = body["slots"]
+      assert first["time"] =~ ~r/^\d{1,2}:\d{2} (AM|PM)$/
+      assert {:ok, first_start, _offset} = DateTime.from_iso8601(first["start"])
+      assert {:ok, second_start, _offset} = DateTime.from_iso8601(second["start"])
+      assert DateTime.compare(first_start, second_start) == :lt
+    end
+
+    test "caps the number of slots", %{conn: conn} do
+      conn = get_slots(conn, "https://example.com", %{"count" => "500"})
+
+      assert length(json_response(conn, 200)["slots"]) == 10
+    end
+
+    test "refuses hosts that may not embed the profile", %{conn: conn} do
+      conn = get_slots(conn, "https://evil.test", %{})
+
+      assert response(conn, 403) == ""
+      assert get_resp_header(conn, "access-control-allow-origin") == []
+    end
+
+    test "serves repeat lookups from the cache", %{conn: conn} do
+      first = get_slots(conn, "https://example.com", %{"count" => "1"})
+      assert [_slot] = json_response(first, 200)["slots"]
+
+      AvailabilityCache.invalidate_pattern({:month_availability, :_, :_, :_, :_, :_})
+
+      Tymeslot.CalendarMock
+      |> stub(:get_events_for_range_fresh, fn _user_id, _start_date, _end_date ->
+        flunk("availability walked again")
+      end)
+
+      second = get_slots(build_conn(), "https://example.com", %{"count" => "3"})
+      assert length(json_response(second, 200)["slots"]) == 3
+    end
+
+    test "answers 503 when availability can't be loaded", %{conn: conn} do
+      Tymeslot.CalendarMock
+      |> stub(:get_events_for_range_fresh, fn _user_id, _start_date, _end_date ->
+        {:error, :timeout}
+      end)
+
+      conn = get_slots(conn, "https://example.com", %{})
+
+      assert response(conn, 503) == ""
+      assert get_resp_header(conn, "retry-after") == ["60"]
+    end
+
+    test "returns 404 for unknown meeting types", %{conn: conn} do
+      conn =
+        conn
+        |> put_req_header("origin", "https://example.com")
+        |> get("/api/embed/slots/next-slots/missing-type")
+
+      assert response(conn, 404) == ""
+    end
+  end
+end
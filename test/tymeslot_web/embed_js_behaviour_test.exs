@@ -0,0 +1,16 @@
+defmodule TymeslotWeb.EmbedJsBehaviourTest do
+  # Runs the node:test suite in test/js, which loads embed.js into a small
+  # fake DOM and drives it through messages, timers and teardown
+  use ExUnit.Case, async: true
+
+  @node System.find_executable("node")
+  @test_file Path.expand("../js/embed.test.js", __DIR__)
+
+  unless @node, do: @moduletag(skip: "node is not installed")
+
+  test "embed.js passes its browser behaviour tests" do
+    {output, status} = System.cmd(@node, ["--test", @test_file], stderr_to_stdout: true)
+
+    assert status == 0, output
+  end
+end
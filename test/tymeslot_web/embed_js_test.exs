@@ -1,7 +1,23 @@
 defmodule TymeslotWeb.EmbedJsTest do
   use ExUnit.Case, async: true
 
+  # These check that embed.js and the EmbedFrame hook keep the names that
+  # make up their contract: functions, constants, API methods, message
+  # types, attributes and CSS hooks. They stay clear of exact source lines,
+  # so refactoring a function body doesn't break them.
+
   @embed_js_path Path.expand("../../assets/js/embed.js", __DIR__)
+  @embed_frame_path Path.expand("../../assets/js/hooks/embed_frame.js", __DIR__)
+
+  # Whether the source declares a function, constant or API method by this name
+  defp defines?(contents, name) do
+    contents =~ ~r/\b(?:function|const|let|class) #{name}\b|\b#{name}: function\(/
+  end
+
+  defp inbound_messages(contents) do
+    [_, messages] = Regex.run(~r/const INBOUND_MESSAGES = \{(.*?)\n  \};/s, contents)
+    messages
+  end
 
   test "username is URL encoded in booking iframe URL" do
     contents = File.read!(@embed_js_path)
@@ -21,4 +37,411 @@ defmodule TymeslotWeb.EmbedJsTest do
 
     assert contents =~ "window.addEventListener('message'"
   end
+
+  test "resize messages only resize inline iframes" do
+    contents = File.read!(@embed_js_path)
+
+    assert inbound_messages(contents) =~ "'resize':"
+    assert defines?(contents, "handleResize")
+    assert contents =~ "dataset.fixedHeight"
+  end
+
+  test "lifecycle events are only accepted from the booking origin" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "origin !== BASE_URL"
+    assert inbound_messages(contents) =~ "'event':"
+    assert defines?(contents, "LIFECYCLE_EVENTS")
+    assert defines?(contents, "emitLifecycleEvent")
+    assert contents =~ "new CustomEvent('tymeslot:'"
+
+    for name <- ~w(on off) do
+      assert defines?(contents, name)
+    end
+  end
+
+  test "booking page reports its height to the host" do
+    hook = File.read!(@embed_frame_path)
+
+    assert hook =~ "ResizeObserver"
+    assert hook =~ "this.post(\"resize\""
+  end
+
+  test "booking page forwards lifecycle events to the host origin only" do
+    hook = File.read!(@embed_frame_path)
+
+    assert hook =~ "handleEvent(\"embed:lifecycle\""
+    assert hook =~ "this.post(\"event\""
+    assert hook =~ "this.hostOrigin"
+  end
+
+  test "prefill values are sent over postMessage instead of the iframe URL" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "data-prefill-email"
+
+    for name <- ~w(PREFILL_FIELDS normalizePrefill sendPrefill postToIframe) do
+      assert defines?(contents, name)
+    end
+
+    refute contents =~ "searchParams.append('prefill"
+    refute contents =~ "searchParams.append('email"
+  end
+
+  test "attribution is sent without query strings" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "'utm_source'"
+
+    for name <- ~w(UTM_PARAMS stripUrl collectAttribution sendAttribution) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "url.origin + url.pathname"
+  end
+
+  test "meeting type deep links go through the path, dates only with a type" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "data-meeting-type"
+    assert defines?(contents, "meetingTypeSlug")
+    assert contents =~ "meetingType && typeof options.date === 'string'"
+  end
+
+  test "embeds return handles that can be torn down with their retry timers" do
+    contents = File.read!(@embed_js_path)
+
+    for name <- ~w(destroyAll destroy reload update) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "setTimeout(handleTimeout, TIMEOUT_MS)"
+
+    assert [_, cancel_timers] = Regex.run(~r/cancelTimers = \(\) => \{(.*?)\};/s, contents)
+    assert cancel_timers =~ "clearTimeout(timeout)"
+    assert cancel_timers =~ "clearTimeout(readyTimer)"
+
+    refute contents =~ "getElementById('tymeslot-modal')"
+  end
+
+  test "popup is an accessible modal dialog" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "'role', 'dialog'"
+    assert contents =~ "'aria-modal', 'true'"
+    assert contents =~ ".inert = true"
+
+    for name <- ~w(deepActiveElement inertBackground restoreBackground trapFocus
+                   prefersReducedMotion) do
+      assert defines?(contents, name)
+    end
+  end
+
+  test "inline embeds can load lazily and popups can be prewarmed" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "'IntersectionObserver' in window"
+    assert contents =~ "'preconnect'"
+    assert contents =~ "'dns-prefetch'"
+    assert contents =~ "'prefetch'"
+    assert contents =~ "'touchstart'"
+
+    for name <- ~w(addResourceHints mountWhenVisible prewarm) do
+      assert defines?(contents, name)
+    end
+  end
+
+  test "widget chrome renders in shadow roots with styling hooks" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "attachShadow({ mode: 'open' })"
+    assert contents =~ "setAttribute('part'"
+
+    for property <- ~w(overlay radius button-bg) do
+      assert contents =~ "var(--tymeslot-#{property},"
+    end
+
+    for name <- ~w(CHROME_CSS WIDGET_PARTS attachChrome chromeElement) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "CSS.supports('color'"
+    refute contents =~ "style.cssText"
+  end
+
+  test "floating button supports placement, labels, visibility rules and auto-open" do
+    contents = File.read!(@embed_js_path)
+
+    for name <- ~w(createFloatingButton watchFloatingVisibility pathMatches watchAutoOpen
+                   autoOpenCapped) do
+      assert defines?(contents, name)
+    end
+
+    for option <- ~w(position offsetX offsetY label avatar icon hideOnMobile hideOnPaths) do
+      assert contents =~ "options.#{option}"
+    end
+
+    assert defines?(contents, "watchHistory")
+    assert contents =~ "'tymeslot:auto-open:'"
+    assert contents =~ "e.clientY <= 0"
+  end
+
+  test "popup triggers are bound declaratively through a delegated listener" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "[data-tymeslot-popup]"
+    assert contents =~ "document.addEventListener('click'"
+    assert defines?(contents, "popupTrigger")
+    assert defines?(contents, "optionsFromAttributes")
+  end
+
+  test "booking links can be intercepted into the popup without breaking modified clicks" do
+    contents = File.read!(@embed_js_path)
+
+    for name <- ~w(interceptLinks bookingLink interceptedLink) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "data-tymeslot-intercept"
+
+    for key <- ~w(metaKey ctrlKey shiftKey altKey) do
+      assert contents =~ "e.#{key}"
+    end
+
+    assert contents =~ "url.origin !== BASE_URL"
+    assert contents =~ "options.query"
+  end
+
+  test "links to routes and static files aren't taken for booking pages" do
+    contents = File.read!(@embed_js_path)
+
+    assert [_, paths] = Regex.run(~r/const NON_BOOKING_PATHS = \[(.*?)\];/s, contents)
+    non_booking = ~r/'([^']+)'/ |> Regex.scan(paths, capture: :all_but_first) |> List.flatten()
+
+    routed =
+      for %{path: path} <- Phoenix.Router.routes(TymeslotWeb.Router),
+          [segment | _] <- [String.split(path, "/", trim: true)],
+          not String.starts_with?(segment, [":", "*"]),
+          uniq: true,
+          do: segment
+
+    assert routed -- non_booking == []
+    assert TymeslotWeb.static_paths() -- non_booking == []
+    reserved = TymeslotWeb.static_paths() ++ Tymeslot.Profiles.ReservedPaths.list()
+    assert non_booking -- reserved == []
+  end
+
+  test "tymeslot-booking custom element reuses the embed instances" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "customElements.define('tymeslot-booking'"
+    assert defines?(contents, "TymeslotBookingElement")
+    assert contents =~ "disconnectedCallback()"
+    assert contents =~ "attributeChangedCallback()"
+    assert defines?(contents, "createInline")
+    assert contents =~ "instance.eventTarget"
+  end
+
+  test "inline containers added or removed after load are picked up once" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "new MutationObserver("
+
+    for name <- ~w(containerInstances initInlineEmbeds observeInlineEmbeds) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "container.isConnected"
+    assert contents =~ "data-tymeslot-auto-init"
+  end
+
+  test "booking pages are only shown after a ready handshake" do
+    contents = File.read!(@embed_js_path)
+
+    assert inbound_messages(contents) =~ "'ready':"
+    assert defines?(contents, "READY_STATUSES")
+    assert defines?(contents, "READY_TIMEOUT_MS")
+    assert contents =~ ~r/readyTimer = setTimeout\(\(\) => fail\('timeout'\)/
+    refute contents =~ ~r/setTimeout\(\(\) => fail\('domain_not_allowed'\)/
+    assert contents =~ "options.onError("
+    assert contents =~ "emitLifecycleEvent(iframe, 'error'"
+
+    for status <- ~w(not_found deactivated domain_not_allowed timeout error) do
+      assert contents =~ "#{status}: ["
+    end
+
+    hook = File.read!(@embed_frame_path)
+    assert hook =~ "this.post(\"ready\""
+    assert hook =~ "dataset.embedStatus"
+  end
+
+  test "messages travel in a versioned envelope on a per-iframe channel" do
+    contents = File.read!(@embed_js_path)
+
+    for name <- ~w(PROTOCOL_VERSION CHANNEL_PREFIX iframeChannels channelId readMessage) do
+      assert defines?(contents, name)
+    end
+
+    for type <- ~w(ready mounted resize event close redirect) do
+      assert inbound_messages(contents) =~ "'#{type}':"
+    end
+
+    assert [_, live_options] = Regex.run(~r/const LIVE_OPTIONS = \[([^\]]*)\]/, contents)
+
+    for option <- ~w(primaryColor colorScheme colorSchemeClass branding brandingSelector
+                     prefill onConfirmedRedirect) do
+      assert live_options =~ "'#{option}'"
+    end
+
+    refute contents =~ "type: 'tymeslot-prefill'"
+
+    hook = File.read!(@embed_frame_path)
+
+    for name <- ~w(PROTOCOL_VERSION CHANNEL_NAME) do
+      assert defines?(hook, name)
+    end
+
+    assert hook =~ "tymeslot-${type}"
+    assert hook =~ "\"tymeslot-prefill\""
+    assert hook =~ "\"tymeslot-attribution\""
+  end
+
+  test "color scheme follows the host page and is pushed live" do
+    contents = File.read!(@embed_js_path)
+
+    for name <- ~w(COLOR_SCHEMES resolveColorScheme watchColorScheme sendTheme) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "'color-scheme'"
+    assert contents =~ "prefers-color-scheme: dark"
+    assert contents =~ "'data-color-scheme'"
+
+    hook = File.read!(@embed_frame_path)
+    assert hook =~ "dataset.colorScheme"
+
+    layout =
+      File.read!(
+        Path.expand("../../lib/tymeslot_web/components/layouts/scheduling_root.html.heex", __DIR__)
+      )
+
+    assert layout =~ "data-color-scheme={assigns[:theme_color_mode]}"
+
+    for theme <- ~w(quill rhythm) do
+      css =
+        File.read!(
+          Path.expand("../../assets/css/scheduling/themes/#{theme}/modules/color-schemes.css", __DIR__)
+        )
+
+      assert css =~ ~s(:root[data-color-scheme="light"])
+    end
+  end
+
+  test "timezone and hour cycle are validated before they reach the URL" do
+    contents = File.read!(@embed_js_path)
+
+    assert defines?(contents, "validTimezone")
+    assert defines?(contents, "HOUR_CYCLES")
+    assert contents =~ "timeZone: timezone"
+    assert contents =~ "validTimezone(options.timezone)"
+    assert contents =~ "'hour-cycle'"
+    assert contents =~ "'data-hour-cycle'"
+  end
+
+  test "funnel steps are batched and sent without cookies or identifiers" do
+    contents = File.read!(@embed_js_path)
+
+    for name <- ~w(FUNNEL_URL FUNNEL_EVENTS trackFunnel flushFunnel) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "/api/embed/events"
+    assert contents =~ "navigator.sendBeacon("
+    assert contents =~ "credentials: 'omit'"
+    assert contents =~ "visibilityState === 'hidden'"
+    assert contents =~ "'form:started': 'form_started'"
+    assert contents =~ "data-tymeslot-analytics"
+  end
+
+  test "host branding is read from the page and sent over postMessage" do
+    contents = File.read!(@embed_js_path)
+
+    assert defines?(contents, "inheritedBranding")
+    assert defines?(contents, "sendBranding")
+    assert contents =~ "branding !== 'inherit'"
+    assert contents =~ "'data-branding'"
+
+    hook = File.read!(@embed_frame_path)
+    assert hook =~ "pushEvent(\"embed_branding\""
+  end
+
+  test "slots widgets fetch without cookies and open the popup on the slot" do
+    contents = File.read!(@embed_js_path)
+
+    for name <- ~w(SLOTS_SELECTOR SLOT_TIME_PATTERN initSlotsWidgets slotsUrl renderSlots) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "[data-tymeslot-slots]"
+    assert contents =~ "/api/embed/slots/"
+    assert contents =~ "credentials: 'omit'"
+    assert contents =~ "'/book'"
+    assert contents =~ "searchParams.append('time'"
+  end
+
+  test "popups go full screen on phones and close on Back" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ "90dvh"
+    assert contents =~ "@media (max-width: 640px)"
+
+    for name <- ~w(fitToVisualViewport POPUP_HISTORY_KEY pushPopupHistory popPopupHistory
+                   popupHistoryBackPending) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "keepHistory"
+    assert contents =~ "window.addEventListener('popstate'"
+  end
+
+  test "widgets avoid HTML sinks and inline styles blocked by a strict CSP" do
+    contents = File.read!(@embed_js_path)
+
+    refute contents =~ ~r/\.innerHTML\s*=/
+    refute contents =~ "style.cssText"
+    assert defines?(contents, "adoptStyles")
+    assert contents =~ "adoptedStyleSheets"
+    assert contents =~ "style.nonce"
+    assert contents =~ "data-tymeslot-nonce"
+    assert contents =~ "trustedTypes.createPolicy('tymeslot'"
+  end
+
+  test "confirmed bookings can send the host page on to a redirect" do
+    contents = File.read!(@embed_js_path)
+
+    assert inbound_messages(contents) =~ "'redirect':"
+
+    for name <- ~w(normalizeRedirect redirectFromAttributes sendRedirect followRedirect) do
+      assert defines?(contents, name)
+    end
+
+    assert contents =~ "withDetails"
+    assert contents =~ "'data-confirmed-redirect'"
+    assert contents =~ "window.location.assign("
+
+    hook = File.read!(@embed_frame_path)
+    assert hook =~ "pushEvent(\"embed_redirect\""
+    assert hook =~ "handleEvent(\"embed:redirect\""
+  end
+
+  test "exposes its version and finds versioned script tags" do
+    contents = File.read!(@embed_js_path)
+
+    assert contents =~ ~r/const VERSION = '\d+\.\d+\.\d+';/
+    assert contents =~ "version: VERSION"
+    assert defines?(contents, "SCRIPT_PATTERN")
+    assert defines?(contents, "findScriptTag")
+    assert contents =~ "document.currentScript || findScriptTag()"
+    refute contents =~ "script[src*=\"embed.js\"]"
+  end
 end
@@ -0,0 +1,34 @@
+defmodule TymeslotWeb.Helpers.EmbedScriptTest do
+  use ExUnit.Case, async: true
+
+  alias TymeslotWeb.Helpers.EmbedScript
+
+  test "every published build matches its integrity hash" do
+    for {version, integrity} <- EmbedScript.builds() do
+      contents = File.read!(EmbedScript.path(version))
+
+      assert EmbedScript.integrity_hash(contents) == integrity
+      assert contents =~ "const VERSION = '#{version}';"
+    end
+  end
+
+  test "the current embed.js is published unchanged" do
+    source = File.read!(Path.expand("../../../assets/js/embed.js", __DIR__))
+    assert [_, version] = Regex.run(~r/const VERSION = '(\d+\.\d+\.\d+)';/, source)
+
+    assert File.read!(EmbedScript.path(version)) == source,
+           "priv/embed/v#{version}.js differs from assets/js/embed.js; " <>
+             "bump VERSION and run mix embed_publish"
+  end
+
+  test "resolves exact builds and major version aliases" do
+    version = EmbedScript.current_version()
+    major = Version.parse!(version).major
+
+    assert EmbedScript.resolve("v#{version}.js") == {:build, version}
+    assert EmbedScript.resolve("v#{major}.js") == {:alias, EmbedScript.latest(major)}
+    assert EmbedScript.resolve("v0.0.1.js") == :error
+    assert EmbedScript.resolve("v999.js") == :error
+    assert EmbedScript.resolve("embed.js") == :error
+  end
+end
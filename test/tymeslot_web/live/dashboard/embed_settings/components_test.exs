@@ -95,6 +95,27 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.ComponentsTest do
       html = render_component(&LivePreview.live_preview/1, assigns)
       assert html =~ "id=\"live-preview-container\""
       assert html =~ "data-username=\"testuser\""
+      refute html =~ "floating-options-form"
+    end
+
+    test "renders floating button options for the floating preview" do
+      assigns = %{
+        selected_embed_type: "floating",
+        username: "testuser",
+        base_url: "https://tymeslot.com",
+        embed_script_url: "/embed.js",
+        is_ready: true,
+        error_reason: nil,
+        floating_options: %{position: "left", label: "Book a demo"},
+        myself: "myself"
+      }
+
+      html = render_component(&LivePreview.live_preview/1, assigns)
+      assert html =~ "id=\"floating-options-form\""
+      assert html =~ "value=\"Book a demo\""
+      assert html =~ "data-floating-options="
+      assert html =~ "&quot;position&quot;:&quot;left&quot;"
+      assert html =~ "The preview shows the position and label only."
     end
   end
 end
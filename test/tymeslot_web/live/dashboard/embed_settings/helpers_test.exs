@@ -1,5 +1,6 @@
 defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.HelpersTest do
   use Tymeslot.DataCase, async: true
+  alias TymeslotWeb.Helpers.EmbedScript
   alias TymeslotWeb.Live.Dashboard.EmbedSettings.Helpers
 
   describe "embed_code/2" do
@@ -9,7 +10,18 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.HelpersTest do
 
       assert code =~ "id=\"tymeslot-booking\""
       assert code =~ "data-username=\"testuser\""
-      assert code =~ "src=\"https://tymeslot.com/embed.js\""
+      assert code =~ "src=\"https://tymeslot.com/embed/v#{EmbedScript.current_version()}.js\""
+    end
+
+    test "pins the current embed.js build with its integrity hash" do
+      for type <- ["inline", "popup", "floating"] do
+        code = Helpers.embed_code(type, %{username: "testuser", base_url: "https://tymeslot.com"})
+        version = EmbedScript.current_version()
+
+        assert code =~ "src=\"https://tymeslot.com/embed/v#{version}.js\""
+        assert code =~ "integrity=\"#{EmbedScript.integrity(version)}\""
+        assert code =~ "crossorigin=\"anonymous\""
+      end
     end
 
     test "generates inline embed code with extra parameters" do
@@ -40,14 +52,20 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.HelpersTest do
 
       code = Helpers.embed_code("popup", assigns)
 
-      # Check for presence of parameters without assuming order
-      assert code =~ "TymeslotBooking.open('testuser', {"
-      assert code =~ "locale: 'fr'"
-      assert code =~ "primaryColor: '#FF5733'"
-      assert code =~ "theme: '1'"
+      assert code =~ "data-tymeslot-popup=\"testuser\""
+      assert code =~ "data-locale=\"fr\""
+      assert code =~ "data-primary-color=\"#FF5733\""
+      assert code =~ "data-theme=\"1\""
       refute code =~ "duration"
     end
 
+    test "popup embed code has no inline script handlers" do
+      code = Helpers.embed_code("popup", %{username: "testuser", base_url: "https://tymeslot.com"})
+
+      refute code =~ "onclick"
+      assert code =~ "<button type=\"button\" data-tymeslot-popup=\"testuser\">Book a Meeting</button>"
+    end
+
     test "generates floating embed code with extra parameters" do
       assigns = %{
         username: "testuser",
@@ -63,6 +81,31 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.HelpersTest do
       assert code =~ "theme: '2'"
     end
 
+    test "generates floating embed code with position and label" do
+      assigns = %{
+        username: "testuser",
+        base_url: "https://tymeslot.com",
+        floating_options: %{position: "left", label: "Book a demo"}
+      }
+
+      code = Helpers.embed_code("floating", assigns)
+
+      assert code =~ "position: 'left'"
+      assert code =~ "label: 'Book a demo'"
+    end
+
+    test "omits default floating options" do
+      assigns = %{
+        username: "testuser",
+        base_url: "https://tymeslot.com",
+        floating_options: %{position: "right", label: ""}
+      }
+
+      code = Helpers.embed_code("floating", assigns)
+
+      assert code =~ "TymeslotBooking.initFloating('testuser');"
+    end
+
     test "sanitizes malicious username in embed code" do
       assigns = %{username: "<script>alert(1)</script>", base_url: "https://tymeslot.com"}
       code = Helpers.embed_code("inline", assigns)
@@ -91,4 +134,24 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettings.HelpersTest do
       assert Helpers.embed_code("unknown", %{}) == ""
     end
   end
+
+  describe "floating_options/1" do
+    test "keeps supported positions and plain-text labels" do
+      assert Helpers.floating_options(%{"position" => "left", "label" => "Book a call"}) ==
+               %{position: "left", label: "Book a call"}
+    end
+
+    test "falls back to the right corner and strips unsafe characters" do
+      options = Helpers.floating_options(%{"position" => "top", "label" => "Hi'</script>"})
+
+      assert options.position == "right"
+      assert options.label == "Hiscript"
+    end
+
+    test "caps labels at 40 characters" do
+      options = Helpers.floating_options(%{"label" => String.duplicate("a", 60)})
+
+      assert String.length(options.label) == 40
+    end
+  end
 end
@@ -6,6 +6,7 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsTest do
 
   alias Plug.Conn
   alias Plug.Test
+  alias Tymeslot.EmbedAnalytics
   alias Tymeslot.Profiles
   alias Tymeslot.Repo
 
@@ -249,6 +250,22 @@ defmodule TymeslotWeb.Live.Dashboard.EmbedSettingsTest do
       {:ok, conn: conn, user: user, profile: profile}
     end
 
+    test "shows the embed funnel in the analytics tab", %{conn: conn, profile: profile} do
+      {:ok, profile} = Profiles.update_allowed_embed_domains(profile, ["example.com"])
+
+      EmbedAnalytics.record_events(profile, "example.com", [
+        %{"type" => "inline", "step" => "impression"},
+        %{"type" => "inline", "step" => "confirmed"}
+      ])
+
+      {:ok, view, _html} = live(conn, "/dashboard/embed")
+
+      view |> element("button#tab-analytics") |> render_click()
+
+      assert has_element?(view, "#embed-funnel-chart", "Booking confirmed")
+      assert has_element?(view, "#embed-funnel-filters option[value='example.com']")
+    end
+
     test "shows preview when toggled", %{conn: conn} do
       {:ok, view, _html} = live(conn, "/dashboard/embed")
 
@@ -0,0 +1,53 @@
+defmodule TymeslotWeb.Live.Scheduling.ThemeUtilsTest do
+  use ExUnit.Case, async: true
+
+  alias TymeslotWeb.Live.Scheduling.ThemeUtils
+
+  defp mock_socket(connect_params) do
+    %Phoenix.LiveView.Socket{
+      assigns: %{__changed__: %{}},
+      transport_pid: self(),
+      private: %{connect_params: connect_params}
+    }
+  end
+
+  describe "assign_user_timezone/2" do
+    test "prefers the browser's timezone over the URL's on pages that aren't framed" do
+      socket =
+        %{"timezone" => "Europe/Berlin"}
+        |> mock_socket()
+        |> ThemeUtils.assign_user_timezone(%{"timezone" => "America/Chicago"})
+
+      assert socket.assigns.user_timezone == "Europe/Berlin"
+      refute socket.assigns.framed
+    end
+
+    test "prefers the URL's timezone in framed pages" do
+      socket =
+        %{"timezone" => "Europe/Berlin", "framed" => true}
+        |> mock_socket()
+        |> ThemeUtils.assign_user_timezone(%{"timezone" => "America/Chicago"})
+
+      assert socket.assigns.user_timezone == "America/Chicago"
+      assert socket.assigns.framed
+    end
+
+    test "ignores unknown timezones in the URL" do
+      socket =
+        %{"timezone" => "Europe/Berlin", "framed" => true}
+        |> mock_socket()
+        |> ThemeUtils.assign_user_timezone(%{"timezone" => "Mars/Olympus"})
+
+      assert socket.assigns.user_timezone == "Europe/Berlin"
+    end
+
+    test "falls back to the URL's timezone when the browser sends none" do
+      socket =
+        %{}
+        |> mock_socket()
+        |> ThemeUtils.assign_user_timezone(%{"timezone" => "America/Chicago"})
+
+      assert socket.assigns.user_timezone == "America/Chicago"
+    end
+  end
+end
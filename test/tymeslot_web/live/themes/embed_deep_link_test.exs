@@ -0,0 +1,136 @@
+defmodule TymeslotWeb.Live.Themes.EmbedDeepLinkTest do
+  use TymeslotWeb.LiveCase, async: false
+
+  import Mox
+  import Phoenix.LiveViewTest
+  import Tymeslot.Factory
+
+  alias TymeslotWeb.Themes.Shared.LocalizationHelpers
+
+  setup :verify_on_exit!
+
+  setup tags do
+    Mox.set_mox_from_context(tags)
+
+    Tymeslot.CalendarMock
+    |> stub(:get_events_for_range_fresh, fn _user_id, _start_date, _end_date -> {:ok, []} end)
+    |> stub(:list_events_in_range, fn _user_id, _start_dt, _end_dt -> {:ok, []} end)
+
+    user = insert(:user)
+
+    profile =
+      insert(:profile,
+        user: user,
+        username: "deep-link",
+        booking_theme: "1",
+        advance_booking_days: 365
+      )
+
+    insert(:calendar_integration, user: user, is_active: true)
+
+    demo =
+      insert(:meeting_type, user: user, name: "Product Demo", duration_minutes: 45, is_active: true)
+
+    disabled =
+      insert(:meeting_type, user: user, name: "Old Call", duration_minutes: 15, is_active: false)
+
+    {:ok, username: profile.username, demo: demo, disabled: disabled}
+  end
+
+  for theme_id <- ["1", "2"] do
+    test "opens the schedule step for a meeting type slug (theme #{theme_id})", %{
+      conn: conn,
+      username: username
+    } do
+      {:ok, _view, html} = live(conn, "/#{username}/product-demo?theme=#{unquote(theme_id)}")
+
+      assert html =~ ~s(data-step="schedule")
+    end
+
+    test "opens the schedule step for a meeting type ID (theme #{theme_id})", %{
+      conn: conn,
+      username: username,
+      demo: demo
+    } do
+      {:ok, view, html} = live(conn, "/#{username}/#{demo.id}?theme=#{unquote(theme_id)}")
+
+      assert html =~ ~s(data-step="schedule")
+      assert render(view) =~ "Product Demo"
+    end
+
+    test "falls back to the overview for a disabled meeting type (theme #{theme_id})", %{
+      conn: conn,
+      username: username,
+      disabled: disabled
+    } do
+      assert {:error, {:redirect, %{to: to, flash: flash}}} =
+               live(conn, "/#{username}/#{disabled.id}?theme=#{unquote(theme_id)}&locale=en")
+
+      assert to == "/#{username}?locale=en&theme=#{unquote(theme_id)}"
+      assert flash["error"] =~ "no longer available"
+    end
+  end
+
+  test "reports the deep-linked meeting type to the embedding page", %{
+    conn: conn,
+    username: username,
+    demo: demo
+  } do
+    {:ok, view, _html} = live(conn, "/#{username}/product-demo")
+
+    assert_push_event(view, "embed:lifecycle", %{
+      event: "meeting_type:selected",
+      payload: %{meeting_type: %{id: id, name: "Product Demo"}, duration: 45}
+    })
+
+    assert id == demo.id
+  end
+
+  test "reports no meeting type when the view opens on the overview", %{
+    conn: conn,
+    username: username
+  } do
+    {:ok, view, _html} = live(conn, "/#{username}")
+
+    refute_push_event(view, "embed:lifecycle", %{event: "meeting_type:selected"})
+  end
+
+  test "keeps the embed's query parameters when falling back to the overview", %{
+    conn: conn,
+    username: username,
+    disabled: disabled
+  } do
+    query =
+      URI.encode_query(%{
+        "theme" => "1",
+        "locale" => "en",
+        "primary-color" => "#ff0000",
+        "color-scheme" => "dark",
+        "timezone" => "America/Chicago",
+        "hour-cycle" => "h12",
+        "date" => "2026-03-02"
+      })
+
+    assert {:error, {:redirect, %{to: to}}} = live(conn, "/#{username}/#{disabled.id}?#{query}")
+
+    assert to ==
+             "/#{username}?color-scheme=dark&hour-cycle=h12&locale=en" <>
+               "&primary-color=%23ff0000&theme=1&timezone=America%2FChicago"
+  end
+
+  test "opens the calendar on a deep-linked date's month", %{conn: conn, username: username} do
+    date = Date.utc_today() |> Date.shift(month: 2) |> Date.beginning_of_month()
+
+    {:ok, view, _html} = live(conn, "/#{username}/product-demo?date=#{Date.to_iso8601(date)}")
+
+    assert render(view) =~ LocalizationHelpers.get_month_year_display(date.year, date.month)
+  end
+
+  test "ignores malformed dates", %{conn: conn, username: username} do
+    {:ok, view, _html} = live(conn, "/#{username}/product-demo?date=2026-13-45")
+
+    html = render(view)
+    assert html =~ ~s(data-step="schedule")
+    refute html =~ "2026-13-45"
+  end
+end
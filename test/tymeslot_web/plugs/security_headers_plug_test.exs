@@ -211,7 +211,8 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlugTest do
         "/api/endpoint",
         "/assets/app.js",
         "/docs/embed",
-        "/embed.js"
+        "/embed.js",
+        "/embed/v1.js"
       ]
 
       for path <- reserved_paths do
@@ -311,4 +312,86 @@ defmodule TymeslotWeb.Plugs.SecurityHeadersPlugTest do
       assert x_frame_options == "ALLOW-FROM https://trusted.com"
     end
   end
+
+  describe "iframe requests that would be refused" do
+    test "unknown usernames get a frameable not_found status page", %{conn: conn} do
+      conn =
+        conn
+        |> Map.put(:request_path, "/nonexistentuser")
+        |> put_req_header("sec-fetch-dest", "iframe")
+        |> SecurityHeadersPlug.call(allow_embedding: true)
+
+      assert conn.halted
+      assert conn.status == 404
+      assert conn.resp_body =~ ~s(type: "tymeslot-ready", status: "not_found")
+      assert conn.resp_body =~ ~s(type: "ready", payload: {status: "not_found"})
+      assert [csp] = get_resp_header(conn, "content-security-policy")
+      assert csp =~ "frame-ancestors *"
+      assert get_resp_header(conn, "x-frame-options") == []
+    end
+
+    test "sites outside the allowlist get a domain_not_allowed status page", %{conn: conn} do
+      user = insert(:user)
+      insert(:profile, user: user, username: "restricted", allowed_embed_domains: ["example.com"])
+
+      conn =
+        conn
+        |> Map.put(:request_path, "/restricted")
+        |> put_req_header("sec-fetch-dest", "iframe")
+        |> put_req_header("referer", "https://elsewhere.test/page")
+        |> SecurityHeadersPlug.call(allow_embedding: true)
+
+      assert conn.halted
+      assert conn.status == 403
+      assert conn.resp_body =~ ~s(status: "domain_not_allowed")
+    end
+
+    test "embedding disabled refuses every site", %{conn: conn} do
+      user = insert(:user)
+      insert(:profile, user: user, username: "noembeds", allowed_embed_domains: ["none"])
+
+      conn =
+        conn
+        |> Map.put(:request_path, "/noembeds")
+        |> put_req_header("sec-fetch-dest", "iframe")
+        |> SecurityHeadersPlug.call(allow_embedding: true)
+
+      assert conn.halted
+      assert conn.resp_body =~ ~s(status: "domain_not_allowed")
+    end
+
+    test "allowed sites, including subdomain wildcards, get the booking page", %{conn: conn} do
+      user = insert(:user)
+
+      insert(:profile,
+        user: user,
+        username: "wildcardok",
+        allowed_embed_domains: ["*.example.com"]
+      )
+
+      conn =
+        conn
+        |> Map.put(:request_path, "/wildcardok")
+        |> put_req_header("sec-fetch-dest", "iframe")
+        |> put_req_header("referer", "https://blog.example.com/post")
+        |> SecurityHeadersPlug.call(allow_embedding: true)
+
+      refute conn.halted
+      assert [csp] = get_resp_header(conn, "content-security-policy")
+      assert csp =~ "frame-ancestors 'self' https://*.example.com"
+    end
+
+    test "without a referer the browser decides", %{conn: conn} do
+      user = insert(:user)
+      insert(:profile, user: user, username: "noreferer", allowed_embed_domains: ["example.com"])
+
+      conn =
+        conn
+        |> Map.put(:request_path, "/noreferer")
+        |> put_req_header("sec-fetch-dest", "iframe")
+        |> SecurityHeadersPlug.call(allow_embedding: true)
+
+      refute conn.halted
+    end
+  end
 end
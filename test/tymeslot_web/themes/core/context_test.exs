@@ -0,0 +1,84 @@
+defmodule TymeslotWeb.Themes.Core.ContextTest do
+  use ExUnit.Case, async: true
+
+  alias TymeslotWeb.Themes.Core.Context
+
+  describe "from_params/2" do
+    test "takes a light or dark color scheme from the embed params" do
+      assert %Context{color_mode: "dark"} = Context.from_params(%{"color-scheme" => "dark"})
+      assert %Context{color_mode: "light"} = Context.from_params(%{"color-scheme" => "light"})
+    end
+
+    test "ignores unknown color schemes" do
+      assert %Context{color_mode: nil} = Context.from_params(%{"color-scheme" => "auto"})
+      assert %Context{color_mode: nil} = Context.from_params(%{"color-scheme" => "\"><script>"})
+      assert %Context{color_mode: nil} = Context.from_params(%{})
+    end
+
+    test "only accepts hex primary colors" do
+      context = Context.from_params(%{"primary-color" => "#4f46e5"})
+      assert context.customizations["primary_color"] == "#4f46e5"
+
+      context = Context.from_params(%{"primary-color" => "red;}"})
+      refute (context.customizations || %{})["primary_color"]
+    end
+  end
+
+  describe "put_branding/2" do
+    test "keeps an accent only when it contrasts with white" do
+      context = Context.put_branding(Context.from_params(%{}), %{"accent" => "#1d4ed8"})
+      assert context.branding["accent"] == "#1d4ed8"
+
+      context = Context.put_branding(Context.from_params(%{}), %{"accent" => "#fde68a"})
+      refute context.branding["accent"]
+    end
+
+    test "records the color modes a text color is readable in" do
+      context = Context.put_branding(Context.from_params(%{}), %{"text" => "#111827"})
+      assert context.branding["text_modes"] == ["light"]
+
+      context = Context.put_branding(Context.from_params(%{}), %{"text" => "#777777"})
+      refute context.branding["text"]
+    end
+
+    test "strips quotes from fonts and drops anything else unsafe" do
+      context =
+        Context.put_branding(Context.from_params(%{}), %{"font" => ~s("Inter", sans-serif)})
+
+      assert context.branding["font"] == "Inter, sans-serif"
+
+      context = Context.put_branding(Context.from_params(%{}), %{"font" => "x; } body { y"})
+      refute context.branding["font"]
+
+      context = Context.put_branding(Context.from_params(%{}), %{"accent" => "red;}"})
+      assert context.branding == %{}
+    end
+  end
+
+  describe "override_css/1" do
+    test "is empty without overrides" do
+      assert Context.override_css(Context.from_params(%{})) == ""
+    end
+
+    test "prefers the primary-color param over an inherited accent" do
+      css =
+        %{"primary-color" => "#4f46e5"}
+        |> Context.from_params()
+        |> Context.put_branding(%{"accent" => "#1d4ed8", "text" => "#111827"})
+        |> Context.override_css()
+
+      assert css =~ "--theme-primary: #4f46e5;"
+      refute css =~ "#1d4ed8"
+      assert css =~ ~s(:root[data-color-scheme="light"] { --theme-text: #111827; })
+      refute css =~ ":root:not("
+    end
+  end
+
+  describe "to_assigns/1" do
+    test "exposes the color mode for the root layout" do
+      context = Context.from_params(%{"color-scheme" => "light"})
+
+      assert %{theme_color_mode: "light"} = Context.to_assigns(context)
+    end
+  end
+end
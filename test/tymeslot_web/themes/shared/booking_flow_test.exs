@@ -2,6 +2,7 @@ defmodule TymeslotWeb.Themes.Shared.BookingFlowTest do
   use TymeslotWeb.ConnCase, async: true
 
   alias Phoenix.LiveView.Socket
+  alias TymeslotWeb.Live.Scheduling.Helpers
   alias TymeslotWeb.Themes.Shared.BookingFlow
 
   test "does not show validation errors before form is touched" do
@@ -59,4 +60,64 @@ defmodule TymeslotWeb.Themes.Shared.BookingFlowTest do
     assert updated.assigns.form_touched == true
     assert map_size(updated.assigns.validation_errors) > 0
   end
+
+  describe "embed prefill" do
+    defp booking_socket(form_data \\ %{"name" => "", "email" => "", "message" => ""}) do
+      %Socket{assigns: %{__changed__: %{}, current_state: :booking}}
+      |> Helpers.setup_form_state(form_data, as: :booking)
+    end
+
+    test "stores known fields and maps notes to the booking message" do
+      socket = %Socket{assigns: %{__changed__: %{}, current_state: :overview}}
+
+      {:noreply, updated} =
+        BookingFlow.handle_embed_prefill(socket, %{
+          "name" => "  Jane Doe ",
+          "email" => "Jane@Example.com",
+          "notes" => "Quarterly review",
+          "phone" => "123"
+        })
+
+      assert updated.assigns.embed_prefill == %{
+               "name" => "Jane Doe",
+               "email" => "jane@example.com",
+               "message" => "Quarterly review"
+             }
+    end
+
+    test "pre-populates the form when already on the booking step" do
+      {:noreply, updated} =
+        BookingFlow.handle_embed_prefill(booking_socket(), %{
+          "name" => "Jane Doe",
+          "email" => "jane@example.com"
+        })
+
+      assert updated.assigns.form.params["name"] == "Jane Doe"
+      assert updated.assigns.form.params["email"] == "jane@example.com"
+      assert updated.assigns.validation_errors == []
+    end
+
+    test "keeps values already in the form" do
+      socket =
+        booking_socket(%{"name" => "Rescheduled Name", "email" => "", "message" => ""})
+        |> Phoenix.Component.assign(:embed_prefill, %{
+          "name" => "Jane Doe",
+          "email" => "jane@example.com"
+        })
+
+      updated = BookingFlow.apply_prefill(socket)
+
+      assert updated.assigns.form.params["name"] == "Rescheduled Name"
+      assert updated.assigns.form.params["email"] == "jane@example.com"
+    end
+
+    test "flags invalid prefilled values without flagging untouched fields" do
+      {:noreply, updated} =
+        BookingFlow.handle_embed_prefill(booking_socket(), %{"email" => "not-an-email"})
+
+      assert Map.has_key?(updated.assigns.validation_errors, :email)
+      refute Map.has_key?(updated.assigns.validation_errors, :name)
+      assert updated.assigns.form_touched == false
+    end
+  end
 end
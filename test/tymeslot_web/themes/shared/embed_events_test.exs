@@ -0,0 +1,54 @@
+defmodule TymeslotWeb.Themes.Shared.EmbedEventsTest do
+  use ExUnit.Case, async: true
+
+  alias TymeslotWeb.Themes.Shared.EmbedEvents
+
+  defp assigns(profile_overrides \\ %{}) do
+    %{
+      meeting_type: %{id: 7, name: "Intro call", duration_minutes: 30},
+      selected_date: "2026-03-10",
+      selected_time: "2:30 PM",
+      user_timezone: "Etc/UTC",
+      name: "Jane Doe",
+      email: "jane@example.com",
+      meeting_uid: "abc-123",
+      organizer_profile: Map.merge(%{embed_share_booker_details: false}, profile_overrides)
+    }
+  end
+
+  test "describes the selected meeting type and slot" do
+    payload = EmbedEvents.payload(assigns(), "slot:selected")
+
+    assert payload.meeting_type == %{id: 7, name: "Intro call", duration: 30}
+    assert payload.duration == 30
+    assert payload.start_time == "2026-03-10T14:30:00Z"
+    assert payload.timezone == "Etc/UTC"
+  end
+
+  test "leaves start time empty before a slot is picked" do
+    payload =
+      assigns()
+      |> Map.drop([:selected_date, :selected_time])
+      |> EmbedEvents.payload("meeting_type:selected")
+
+    assert payload.start_time == nil
+  end
+
+  test "does not include booker details by default" do
+    payload = EmbedEvents.payload(assigns(), "booking:confirmed")
+
+    refute Map.has_key?(payload, :booker)
+  end
+
+  test "includes booker details on confirmation when the organizer opted in" do
+    opted_in = assigns(%{embed_share_booker_details: true})
+
+    assert EmbedEvents.payload(opted_in, "booking:confirmed").booker == %{
+             name: "Jane Doe",
+             email: "jane@example.com",
+             meeting_uid: "abc-123"
+           }
+
+    refute Map.has_key?(EmbedEvents.payload(opted_in, "booking:submitted"), :booker)
+  end
+end
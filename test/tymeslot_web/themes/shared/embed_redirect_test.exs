@@ -0,0 +1,72 @@
+defmodule TymeslotWeb.Themes.Shared.EmbedRedirectTest do
+  use ExUnit.Case, async: true
+
+  alias Tymeslot.DatabaseSchemas.ProfileSchema
+  alias TymeslotWeb.Themes.Shared.EmbedRedirect
+
+  defp assigns(meeting_type_overrides \\ %{}) do
+    %{
+      meeting_type:
+        Map.merge(
+          %{
+            id: 7,
+            name: "Intro Call",
+            duration_minutes: 30,
+            confirmation_redirect_url: "https://example.com/thanks?src=embed",
+            redirect_with_details: false
+          },
+          meeting_type_overrides
+        ),
+      selected_date: "2026-03-10",
+      selected_time: "2:30 PM",
+      user_timezone: "Etc/UTC",
+      meeting_uid: "abc-123",
+      organizer_profile: %ProfileSchema{allowed_embed_domains: ["example.com", "*.example.org"]}
+    }
+  end
+
+  defp with_override(assigns, override), do: Map.put(assigns, :embed_redirect, override)
+
+  test "uses the meeting type's redirect" do
+    assert EmbedRedirect.target(assigns()) == "https://example.com/thanks?src=embed"
+  end
+
+  test "adds booking reference, start time and meeting type when asked to" do
+    url = EmbedRedirect.target(assigns(%{redirect_with_details: true}))
+
+    assert %URI{query: query} = URI.parse(url)
+
+    assert URI.decode_query(query) == %{
+             "src" => "embed",
+             "booking" => "abc-123",
+             "start_time" => "2026-03-10T14:30:00Z",
+             "meeting_type" => "intro-call"
+           }
+  end
+
+  test "prefers the embed's override and lets it turn redirects off" do
+    overridden =
+      with_override(assigns(), %{url: "https://app.example.org/welcome", with_details: false})
+
+    assert EmbedRedirect.target(overridden) == "https://app.example.org/welcome"
+    assert EmbedRedirect.target(with_override(assigns(), :none)) == nil
+  end
+
+  test "only redirects to hosts on the embed domain allowlist" do
+    assert EmbedRedirect.target(assigns(%{confirmation_redirect_url: "https://evil.test/"})) ==
+             nil
+
+    lookalike = %{url: "https://example.org.evil.test/", with_details: true}
+    assert EmbedRedirect.target(with_override(assigns(), lookalike)) == nil
+
+    no_allowlist = put_in(assigns().organizer_profile.allowed_embed_domains, [])
+    assert EmbedRedirect.target(no_allowlist) == nil
+  end
+
+  test "ignores URLs that aren't HTTP or HTTPS" do
+    assert EmbedRedirect.target(assigns(%{confirmation_redirect_url: "javascript:alert(1)"})) ==
+             nil
+
+    assert EmbedRedirect.target(assigns(%{confirmation_redirect_url: nil})) == nil
+  end
+end
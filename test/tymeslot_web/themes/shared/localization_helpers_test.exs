@@ -0,0 +1,30 @@
+defmodule TymeslotWeb.Themes.Shared.LocalizationHelpersTest do
+  use ExUnit.Case, async: true
+
+  alias TymeslotWeb.Themes.Shared.LocalizationHelpers
+
+  setup do
+    on_exit(fn -> LocalizationHelpers.put_hour_cycle(nil) end)
+    Gettext.put_locale(TymeslotWeb.Gettext, "en")
+    :ok
+  end
+
+  describe "format_time_by_locale/1" do
+    test "uses the hour cycle set for the process" do
+      dt = ~U[2026-03-02 14:30:00Z]
+
+      :ok = LocalizationHelpers.put_hour_cycle("h12")
+      assert LocalizationHelpers.format_time_by_locale(dt) == "2:30 PM"
+
+      :ok = LocalizationHelpers.put_hour_cycle("h23")
+      assert LocalizationHelpers.format_time_by_locale(dt) == "14:30"
+    end
+
+    test "ignores unknown hour cycles" do
+      :ok = LocalizationHelpers.put_hour_cycle("h12")
+      :ok = LocalizationHelpers.put_hour_cycle("24h")
+
+      assert LocalizationHelpers.hour_cycle() == nil
+    end
+  end
+end
@@ -4,6 +4,35 @@ defmodule TymeslotWeb.Themes.Shared.PathHandlersTest do
   alias TymeslotWeb.Themes.Shared.PathHandlers
 
   describe "build_path_with_locale/2" do
+    test "keeps the booker's timezone and hour cycle in framed pages" do
+      socket = %Phoenix.LiveView.Socket{
+        assigns: %{
+          username_context: "johndoe",
+          live_action: :overview,
+          user_timezone: "America/Chicago",
+          hour_cycle: "h12",
+          framed: true
+        }
+      }
+
+      path = PathHandlers.build_path_with_locale(socket, "de")
+      assert path == "/johndoe?hour-cycle=h12&locale=de&timezone=America%2FChicago"
+    end
+
+    test "leaves the timezone out of links on pages that aren't framed" do
+      socket = %Phoenix.LiveView.Socket{
+        assigns: %{
+          username_context: "johndoe",
+          live_action: :overview,
+          user_timezone: "America/Chicago",
+          framed: false
+        }
+      }
+
+      path = PathHandlers.build_path_with_locale(socket, "de")
+      assert path == "/johndoe?locale=de"
+    end
+
     test "builds path for overview action" do
       socket = %Phoenix.LiveView.Socket{
         assigns: %{